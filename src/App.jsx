@@ -4,8 +4,8 @@ import App from './App'
 import './index.css'   // ⚠ This line is required
 import { StrictMode } from 'react'
 
-import React, { useEffect, useMemo, useState } from "react";
-import { format, getDaysInMonth } from "date-fns";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { addDays, differenceInCalendarDays, format, getDaysInMonth, isValid, isWeekend, parseISO } from "date-fns";
 import {
   Card,
   CardContent,
@@ -33,8 +33,25 @@ import {
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Badge } from "@/components/ui/badge";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
-import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend } from "recharts";
-import { Plus, Calendar, DollarSign, Trash2, Upload, Download, RotateCcw } from "lucide-react";
+import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend, LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceDot, ReferenceLine } from "recharts";
+import { phHolidays } from "@/lib/ph-holidays";
+import { DEDUCTIONS, RATE_TABLES, computePayroll, splitCutoffs } from "@/lib/ph-payroll";
+import { INTEREST_METHODS, addMonths, amortize, balanceAt, effectiveRate, monthlyPayment } from "@/lib/amortization";
+import { PAYOFF_STRATEGIES, payoffOrder, simulatePayoff } from "@/lib/debt-payoff";
+import { isOfx, ofxKey, parseOfx } from "@/lib/ofx";
+import { DEFAULT_MATCH_OPTIONS, matchTransactions } from "@/lib/reconcile";
+import {
+  BANK_PRESETS,
+  DATE_FORMATS,
+  DELIMITERS,
+  ENCODINGS,
+  decodeBytes,
+  detectDelimiter,
+  guessMapping,
+  mapRows,
+  parseCsv,
+} from "@/lib/bank-csv";
+import { Plus, Calendar, CalendarOff, Calculator, ChartLine, DollarSign, Check, Gift, History, Link2, ListOrdered, Mail, PiggyBank, Pin, Receipt, Split, Target, TrendingDown, ArrowUp, ArrowDown, Trash2, Upload, Users, Wallet, X, Download, RotateCcw } from "lucide-react";
 
 // -----------------------------
 // Types
@@ -42,23 +59,203 @@ import { Plus, Calendar, DollarSign, Trash2, Upload, Download, RotateCcw } from
 
 /** @typedef {"fixed"|"variable"|"savings"|"debt"} Category */
 
+/** @typedef {"weekly"|"everyNWeeks"|"monthly"|"quarterly"|"semiannual"|"annual"} Frequency */
+
+/** @typedef {{
+ *  frequency: Frequency,
+ *  interval?: number, // weeks between occurrences for "everyNWeeks"
+ *  anchor?: string, // yyyy-MM-dd of any known occurrence; sets the phase
+ * }} Recurrence */
+
+/** @typedef {{
+ *  type: "day"|"lastDay"|"nthWeekday"|"businessDaysBeforeEnd"|"afterPayday",
+ *  n?: number, // nthWeekday: 1..5 or -1 for last; businessDaysBeforeEnd/afterPayday: count
+ *  weekday?: number, // nthWeekday: 0 = Sunday
+ *  paycheck?: number, // afterPayday: 1-based payday of the month on the primary schedule
+ * }} DueRule */
+
+/** @typedef {{
+ *  from: string, // yyyy-MM, first month at the new amount
+ *  amount: number,
+ * }} AmountChange */
+
+/** @typedef {{
+ *  mode: "percent"|"amount",
+ *  shares: number[], // per paycheck #1, #2, ...; the last share takes whatever remains
+ * }} ExpenseSplit */
+
 /** @typedef {{
  *  id: string,
  *  name: string,
  *  amount: number,
  *  dueDay: number, // 1..31 (use last day when shorter)
  *  category: Category,
+ *  recurrence?: Recurrence, // missing = monthly on dueDay
+ *  pinnedPaycheck?: number, // 1-based payday on the primary schedule; forces the paycheck, missing = auto
+ *  split?: ExpenseSplit, // funds the bill from several paychecks; beats pinnedPaycheck
+ *  startMonth?: string, // yyyy-MM, first month the bill applies
+ *  endMonth?: string, // yyyy-MM, last month the bill applies
+ *  loan?: import("@/lib/amortization").Loan, // debt only; drives amount and lifespan
+ *  debt?: { balance: number, apr: number, minPayment?: number }, // revolving/other debt, for the payoff planner; minPayment is kept once a plan is applied
+ *  amountChanges?: AmountChange[], // amount is the price before the first change
+ *  dueRule?: DueRule, // month-based schedules only; missing = on dueDay
  * }} Expense */
 
+/** @typedef {"previous"|"next"|"none"} PaydayAdjust */
+
+/** @typedef {"weekly"|"biweekly"|"semimonthly"|"monthly"} PayFrequency */
+
 /** @typedef {{
- *  paycheckDays: [number, number], // e.g., [1, 16]
+ *  id: string,
+ *  name: string, // e.g., "Salary", "Freelance"
+ *  owner: string, // household member it belongs to
+ *  payFrequency: PayFrequency,
+ *  paycheckDays: [number, number],
+ *  payAnchor?: string,
  *  netPerPaycheck: number,
- *  extras: number,
+ *  paycheckNets?: (number|null)[],
+ *  monthOverrides?: Record<string, (number|null)[]>,
+ * }} IncomeSource */
+
+/** @typedef {{
+ *  id: string,
+ *  name: string, // e.g., "13th month", "Mid-year bonus"
+ *  amount: number,
+ *  date: string, // yyyy-MM-dd it arrives; the first one when recurring
+ *  sourceId: string, // IncomeSource id, or "primary"
+ *  repeat: "once"|"monthly"|"yearly",
+ * }} IncomeEvent */
+
+/** @typedef {{
+ *  payFrequency: PayFrequency,
+ *  paycheckDays: [number, number], // e.g., [1, 16]; monthly uses the first
+ *  payAnchor?: string, // yyyy-MM-dd of any past payday; weekly/biweekly only
+ *  netPerPaycheck: number, // default for any payday without its own amount
+ *  paycheckNets?: (number|null)[], // per payday of the month: #1, #2, ...
+ *  monthOverrides?: Record<string, (number|null)[]>, // keyed by monthKey(); beats paycheckNets
+ *  extras: number, // legacy: spread evenly across every paycheck of every month
+ *  paydayAdjust: PaydayAdjust, // when payday lands on a weekend/holiday; applies to every source
+ *  name?: string, // of the primary schedule above
+ *  owner?: string,
+ *  sources?: IncomeSource[], // other earners and side income, each on its own schedule
+ *  events?: IncomeEvent[], // bonuses and one-off payouts, credited to the pay period they arrive in
  * }} IncomeConfig */
 
+/** @typedef {{
+ *  id: string,
+ *  date: string, // yyyy-MM-dd
+ *  name: string,
+ * }} Holiday */
+
+/** @typedef {"window"|"latest"|"leadDays"|"balance"} AssignStrategy */
+
+/** @typedef {{
+ *  usePhHolidays: boolean, // merge the bundled PH calendar into holidays
+ *  dueDateAdjust: PaydayAdjust, // when a bill falls due on a weekend/holiday
+ *  assignStrategy: AssignStrategy, // how bills are matched to paychecks
+ *  leadDays: number, // for "leadDays": pay from a check received this many days early
+ *  carryover: boolean, // roll each paycheck's leftover into the next
+ *  openingBalance: number, // cash on hand at the start of openingMonth
+ *  openingMonth: string, // yyyy-MM
+ *  cushion: number, // flag days when projected cash drops below this
+ *  matchAmountTolerance: number, // reconciliation: % difference from the planned amount
+ *  matchDateWindow: number, // reconciliation: days either side of the due date
+ * }} Settings */
+
+/** @typedef {{
+ *  gross: number, // monthly
+ *  tableId: string,
+ *  split: Record<string, import("@/lib/ph-payroll").CutoffSplit>, // per deduction id
+ *  tables: import("@/lib/ph-payroll").RateTable[], // user-edited copies
+ * }} PayrollConfig */
+
+/** @typedef {{
+ *  amount: number, // actual amount paid for the whole occurrence
+ *  date: string, // yyyy-MM-dd
+ *  method: string,
+ *  transactionId?: string, // set when reconciled against an imported transaction
+ * }} LedgerEntry */
+
+/** @typedef {{
+ *  id: string,
+ *  date: string, // yyyy-MM-dd
+ *  description: string,
+ *  amount: number, // negative = money out
+ *  account: string, // bank or wallet it was imported from
+ *  source: "csv"|"ofx",
+ *  fitId?: string, // OFX transaction id, unique per account; used to skip re-imports
+ *  memo?: string,
+ * }} Transaction */
+
+/** @typedef {{
+ *  id: string,
+ *  name: string,
+ *  amount: number, // set aside from every paycheck
+ *  expenseId?: string, // bill the envelope replaces; kept out of the plan while the envelope exists
+ *  category?: Category, // or every bill in this category
+ * }} Envelope */
+
+/** @typedef {{
+ *  id: string,
+ *  envelopeId: string,
+ *  month: string, // yyyy-MM of the paycheck it is charged to
+ *  paycheck: number, // 1-based payday on the primary schedule
+ *  date: string, // yyyy-MM-dd
+ *  amount: number,
+ *  note: string,
+ * }} EnvelopeSpend */
+
+/** @typedef {{
+ *  id: string,
+ *  month: string,
+ *  paycheck: number, // 1-based payday on the primary schedule
+ *  from: string, // envelope id, or "leftover" for the paycheck's unallocated remainder
+ *  to: string, // envelope id
+ *  amount: number,
+ * }} EnvelopeCover */
+
+/** @typedef {{
+ *  id: string,
+ *  name: string,
+ *  target: number,
+ *  targetDate: string, // yyyy-MM-dd
+ *  balance: number, // saved before tracking began; set-asides marked paid add to it
+ * }} SinkingFund */
+
+/** @typedef {{
+ *  id: string,
+ *  name: string,
+ *  target: number,
+ *  deadline?: string, // yyyy-MM
+ *  balance: number, // saved before the ledger payments counted toward it
+ *  expenseIds: string[], // savings expenses that pay into it
+ *  since?: string, // yyyy-MM, first ledger month counted; missing = all
+ * }} SavingsGoal */
+
+/** @typedef {{
+ *  strategy: import("@/lib/debt-payoff").PayoffStrategy,
+ *  extraMode: "none"|"fixed"|"leftover",
+ *  extra: number, // ₱ per month for "fixed"
+ *  leftoverPct: number, // share of paycheck leftovers for "leftover"
+ *  customOrder: string[], // expense ids
+ * }} DebtPlan */
+
 /** @typedef {{
  *  expenses: Expense[],
  *  income: IncomeConfig,
+ *  holidays: Holiday[], // user-added; bundled PH holidays are not stored
+ *  settings: Settings,
+ *  payroll: PayrollConfig,
+ *  debtPlan: DebtPlan,
+ *  ledger: Record<string, Record<string, LedgerEntry>>, // monthKey() → occurrenceId → payment
+ *  transactions: Transaction[], // imported from bank statements
+ *  bankMappings: Record<string, import("@/lib/bank-csv").CsvMapping>, // per bank name
+ *  rejectedMatches: string[], // "transactionId|occurrenceId" suggestions the user turned down
+ *  envelopes: Envelope[], // per-paycheck allowances for variable spending
+ *  envelopeSpending: EnvelopeSpend[],
+ *  envelopeCovers: EnvelopeCover[],
+ *  sinkingFunds: SinkingFund[],
+ *  goals: SavingsGoal[],
  * }} BudgetState */
 
 // -----------------------------
@@ -74,6 +271,78 @@ const CATEGORIES = [
   { id: "debt", label: "Debt" },
 ];
 
+const FREQUENCIES = [
+  { id: "weekly", label: "Weekly" },
+  { id: "everyNWeeks", label: "Every N weeks" },
+  { id: "monthly", label: "Monthly" },
+  { id: "quarterly", label: "Quarterly" },
+  { id: "semiannual", label: "Semi-annual" },
+  { id: "annual", label: "Annual" },
+];
+
+const MONTH_STEPS = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 };
+
+const EXPENSE_STATUSES = [
+  { id: "active", label: "Active" },
+  { id: "upcoming", label: "Upcoming" },
+  { id: "ended", label: "Ended" },
+];
+
+const DUE_RULES = [
+  { id: "day", label: "On a day of the month" },
+  { id: "lastDay", label: "Last day of the month" },
+  { id: "nthWeekday", label: "Nth weekday" },
+  { id: "businessDaysBeforeEnd", label: "Business days before month end" },
+  { id: "afterPayday", label: "Days after a payday" },
+];
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const ORDINALS = [
+  { n: 1, label: "First" },
+  { n: 2, label: "Second" },
+  { n: 3, label: "Third" },
+  { n: 4, label: "Fourth" },
+  { n: -1, label: "Last" },
+];
+
+const PAYMENT_METHODS = ["Cash", "Bank transfer", "GCash", "Maya", "Credit card", "Auto-debit", "Other"];
+
+const EVENT_REPEATS = [
+  { id: "once", label: "One-off" },
+  { id: "monthly", label: "Every month" },
+  { id: "yearly", label: "Every year" },
+];
+
+const PAY_FREQUENCIES = [
+  { id: "weekly", label: "Weekly" },
+  { id: "biweekly", label: "Bi-weekly (every 2 weeks)" },
+  { id: "semimonthly", label: "Semi-monthly (twice a month)" },
+  { id: "monthly", label: "Monthly" },
+];
+
+// Grid cell / legend swatch per payday, in order; wraps for weekly pay
+const PAYDAY_COLORS = [
+  { cell: "bg-emerald-500/20", swatch: "bg-emerald-500/30" },
+  { cell: "bg-blue-500/20", swatch: "bg-blue-500/30" },
+  { cell: "bg-amber-500/20", swatch: "bg-amber-500/30" },
+  { cell: "bg-violet-500/20", swatch: "bg-violet-500/30" },
+  { cell: "bg-cyan-500/20", swatch: "bg-cyan-500/30" },
+];
+
+const ASSIGN_STRATEGIES = [
+  { id: "window", label: "Due after payday (default)" },
+  { id: "latest", label: "Latest payday on or before due date" },
+  { id: "leadDays", label: "Payday at least N days before due" },
+  { id: "balance", label: "Balance paychecks evenly" },
+];
+
+const PAYDAY_ADJUSTMENTS = [
+  { id: "previous", label: "Previous business day" },
+  { id: "next", label: "Next business day" },
+  { id: "none", label: "No adjustment" },
+];
+
 function clampDay(day, year, monthIndex) {
   const dim = getDaysInMonth(new Date(year, monthIndex, 1));
   return Math.min(Math.max(1, day), dim);
@@ -83,17 +352,752 @@ function monthKey(d) {
   return format(d, "yyyy-MM");
 }
 
-function assignToPaycheck(dueDay, p1, p2, year, monthIndex) {
-  const d1 = clampDay(p1, year, monthIndex);
-  const d2 = clampDay(p2, year, monthIndex);
+function parseDate(s) {
+  if (!s) return null;
+  const d = parseISO(s);
+  return isValid(d) ? d : null;
+}
+
+function weekStep(recurrence) {
+  if (recurrence.frequency === "weekly") return 7;
+  return 7 * Math.max(1, Math.floor(recurrence.interval || 1));
+}
+
+/**
+ * Days of the given month on which the expense falls due.
+ * Weekly schedules step from the anchor date; month-based schedules use
+ * dueDay in every month that is a whole number of steps from the anchor month.
+ * Nothing falls due before the anchor.
+ */
+function occurrenceDays(expense, year, monthIndex) {
+  const rec = expense.recurrence || { frequency: "monthly" };
+  const anchor = parseDate(rec.anchor);
+
+  if (rec.frequency === "weekly" || rec.frequency === "everyNWeeks") {
+    if (!anchor) return [clampDay(expense.dueDay, year, monthIndex)];
+    const step = weekStep(rec);
+    const monthStart = new Date(year, monthIndex, 1);
+    const offset = differenceInCalendarDays(monthStart, anchor);
+    let d = addDays(anchor, Math.max(0, Math.ceil(offset / step)) * step);
+    const out = [];
+    while (d.getMonth() === monthIndex && d.getFullYear() === year) {
+      out.push(d.getDate());
+      d = addDays(d, step);
+    }
+    return out;
+  }
+
+  const step = MONTH_STEPS[rec.frequency] || 1;
+  if (step > 1 && anchor) {
+    const diff = year * 12 + monthIndex - (anchor.getFullYear() * 12 + anchor.getMonth());
+    if (diff < 0 || diff % step !== 0) return [];
+  }
+  return [clampDay(expense.dueDay, year, monthIndex)];
+}
+
+/**
+ * Concrete due dates in the month. Month-based schedules resolve their due
+ * rule, which may need the month's paydays and holidays (`ctx`); the result
+ * can land in the next month for "days after payday".
+ */
+function occurrenceDates(expense, year, monthIndex, ctx) {
+  const days = occurrenceDays(expense, year, monthIndex);
+  const freq = expense.recurrence?.frequency;
+  if (freq === "weekly" || freq === "everyNWeeks") return days.map((d) => new Date(year, monthIndex, d));
+  return days.length ? [resolveDueRule(expense, year, monthIndex, ctx)] : [];
+}
+
+function resolveDueRule(expense, year, monthIndex, ctx) {
+  const rule = expense.dueRule || { type: "day" };
+  const dim = getDaysInMonth(new Date(year, monthIndex, 1));
+  switch (rule.type) {
+    case "lastDay":
+      return new Date(year, monthIndex, dim);
+    case "nthWeekday": {
+      const firstDow = new Date(year, monthIndex, 1).getDay();
+      const first = 1 + ((rule.weekday - firstDow + 7) % 7);
+      const count = Math.floor((dim - first) / 7) + 1;
+      // A missing 5th occurrence falls back to the last one
+      const nth = rule.n === -1 || rule.n > count ? count : Math.max(1, rule.n);
+      return new Date(year, monthIndex, first + (nth - 1) * 7);
+    }
+    case "businessDaysBeforeEnd": {
+      let d = shiftToBusinessDay(new Date(year, monthIndex, dim), "previous", ctx.holidayDates);
+      for (let i = 0; i < (rule.n || 0); i++) d = shiftToBusinessDay(addDays(d, -1), "previous", ctx.holidayDates);
+      return d;
+    }
+    case "afterPayday": {
+      const payday = ctx.paydays[Math.min(Math.max(1, rule.paycheck || 1), ctx.paydays.length) - 1];
+      if (payday) return addDays(payday, rule.n || 0);
+      return new Date(year, monthIndex, clampDay(expense.dueDay, year, monthIndex));
+    }
+    default:
+      return new Date(year, monthIndex, clampDay(expense.dueDay, year, monthIndex));
+  }
+}
+
+function describeDueRule(expense) {
+  const rule = expense.dueRule || { type: "day" };
+  switch (rule.type) {
+    case "lastDay":
+      return "Last day";
+    case "nthWeekday":
+      return `${ORDINALS.find((o) => o.n === rule.n)?.label || ""} ${WEEKDAYS[rule.weekday]?.slice(0, 3)}`;
+    case "businessDaysBeforeEnd":
+      return rule.n ? `${rule.n} bus. days before end` : "Last business day";
+    case "afterPayday":
+      return `${rule.n || 0}d after payday #${rule.paycheck || 1}`;
+    default:
+      return expense.dueDay;
+  }
+}
+
+/** First and last month (yyyy-MM) the expense applies; a loan's term overrides the stored months. */
+function lifespan(expense) {
+  if (expense.loan) {
+    const { startMonth, termMonths } = expense.loan;
+    return { startMonth, endMonth: addMonths(startMonth, termMonths - 1) };
+  }
+  return { startMonth: expense.startMonth, endMonth: expense.endMonth };
+}
+
+/** "upcoming" before startMonth, "ended" after endMonth, else "active". */
+function expenseStatus(expense, year, monthIndex) {
+  const key = monthKey(new Date(year, monthIndex, 1));
+  const { startMonth, endMonth } = lifespan(expense);
+  if (startMonth && key < startMonth) return "upcoming";
+  if (endMonth && key > endMonth) return "ended";
+  return "active";
+}
+
+/** Amount due in the month: the loan schedule's payment for loans, else the dated amount. */
+function amountFor(expense, year, monthIndex) {
+  const key = monthKey(new Date(year, monthIndex, 1));
+  if (expense.loan) {
+    return amortize(expense.loan).find((r) => r.month === key)?.payment ?? 0;
+  }
+  return scheduledAmount(expense, key);
+}
+
+function sortedChanges(expense) {
+  return [...(expense.amountChanges || [])].sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/** Amount from the latest change on or before the month (yyyy-MM), else the base amount. */
+function scheduledAmount(expense, key) {
+  return sortedChanges(expense).filter((c) => c.from <= key).at(-1)?.amount ?? expense.amount;
+}
+
+/** First change after the month (yyyy-MM), if any. */
+function nextAmountChange(expense, key) {
+  return sortedChanges(expense).find((c) => c.from > key);
+}
+
+/** Changes with one amount per month from `from` on, replacing any at or after it; repeats share a change. */
+function withMonthlyAmounts(expense, from, amounts) {
+  const out = sortedChanges(expense).filter((c) => c.from < from);
+  amounts.forEach((amount, i) => {
+    if (i === 0 || amount !== amounts[i - 1]) out.push({ from: addMonths(from, i), amount });
+  });
+  return out;
+}
+
+/** Month (yyyy-MM) of the nth occurrence counting from `from`; null if not found within 50 years. */
+function monthOfPayment(expense, from, count) {
+  let seen = 0;
+  for (let i = 0; i < 600; i++) {
+    const d = new Date(from.getFullYear(), from.getMonth() + i, 1);
+    seen += occurrenceDays(expense, d.getFullYear(), d.getMonth()).length;
+    if (seen >= count) return monthKey(d);
+  }
+  return null;
+}
+
+function describeLifespan(expense) {
+  const fmt = (m) => format(parseISO(`${m}-01`), "MMM yyyy");
+  const { startMonth, endMonth } = lifespan(expense);
+  if (startMonth && endMonth) return `${fmt(startMonth)} – ${fmt(endMonth)}`;
+  if (startMonth) return `From ${fmt(startMonth)}`;
+  if (endMonth) return `Until ${fmt(endMonth)}`;
+  return "";
+}
+
+function describeRecurrence(expense) {
+  const rec = expense.recurrence || { frequency: "monthly" };
+  const anchor = parseDate(rec.anchor);
+  switch (rec.frequency) {
+    case "weekly":
+      return anchor ? `Weekly on ${format(anchor, "EEE")}` : "Weekly";
+    case "everyNWeeks":
+      return `Every ${Math.max(1, rec.interval || 1)} weeks${anchor ? ` from ${format(anchor, "MMM d")}` : ""}`;
+    case "quarterly":
+    case "semiannual":
+    case "annual":
+      return `${FREQUENCIES.find((f) => f.id === rec.frequency).label}${anchor ? ` from ${format(anchor, "MMM yyyy")}` : ""}`;
+    default:
+      return "Monthly";
+  }
+}
+
+function dateKey(d) {
+  return format(d, "yyyy-MM-dd");
+}
+
+function isBusinessDay(d, holidayDates) {
+  return !isWeekend(d) && !holidayDates.has(dateKey(d));
+}
+
+function shiftToBusinessDay(d, rule, holidayDates) {
+  if (rule !== "previous" && rule !== "next") return d;
+  const step = rule === "previous" ? -1 : 1;
+  let out = d;
+  // Bounded so a runaway holiday list can't hang the render
+  for (let i = 0; i < 31 && !isBusinessDay(out, holidayDates); i++) out = addDays(out, step);
+  return out;
+}
+
+/** Scheduled (unshifted) pay dates that fall in the month. */
+function scheduledPaydays(income, year, monthIndex) {
+  const onDay = (day) => new Date(year, monthIndex, clampDay(day, year, monthIndex));
+  switch (income.payFrequency) {
+    case "monthly":
+      return [onDay(income.paycheckDays[0])];
+    case "weekly":
+    case "biweekly": {
+      const step = income.payFrequency === "weekly" ? 7 : 14;
+      // Without an anchor, cycle from a fixed date so the cadence runs across months
+      const anchor = parseDate(income.payAnchor) || new Date(2000, 0, income.paycheckDays[0] || 1);
+      const offset = differenceInCalendarDays(new Date(year, monthIndex, 1), anchor);
+      let d = addDays(anchor, Math.ceil(offset / step) * step);
+      const out = [];
+      while (d.getMonth() === monthIndex && d.getFullYear() === year) {
+        out.push(d);
+        d = addDays(d, step);
+      }
+      return out;
+    }
+    default:
+      return income.paycheckDays.map(onDay);
+  }
+}
+
+/** The primary schedule on IncomeConfig followed by any additional sources. @returns {IncomeSource[]} */
+function incomeSources(income) {
+  return [{ ...income, id: "primary", name: income.name || "Salary", owner: income.owner || "" }, ...(income.sources || [])];
+}
+
+/**
+ * Every source's paydays for the month merged into one timeline, in order.
+ * Sources paying on the same date share a payday; `contributions` records
+ * what each one brings, and `primary` numbers the primary schedule's paydays.
+ * Dates may spill into the adjacent month after shifting.
+ */
+function sourceTimeline(income, holidayDates, year, monthIndex) {
+  const byDate = new Map();
+  for (const source of incomeSources(income)) {
+    scheduledPaydays(source, year, monthIndex).forEach((d, i) => {
+      const date = shiftToBusinessDay(d, income.paydayAdjust, holidayDates);
+      const key = dateKey(date);
+      if (!byDate.has(key)) byDate.set(key, { date, contributions: [] });
+      if (source.id === "primary") byDate.get(key).primary = true;
+      byDate.get(key).contributions.push({
+        sourceId: source.id,
+        name: source.name,
+        owner: source.owner,
+        amount: paycheckNet(source, i, year, monthIndex),
+      });
+    });
+  }
+  const timeline = [...byDate.values()].sort((a, b) => a.date - b.date);
+  // Number the primary paydays by date, whatever order paycheckDays lists them in
+  let k = 0;
+  for (const t of timeline) if (t.primary) t.primary = ++k;
+  return timeline;
+}
+
+/**
+ * Timeline positions (1-based) of the primary schedule's paydays. Pins,
+ * splits, "days after payday" and envelopes count these, so adding or
+ * removing another source doesn't move them.
+ */
+function primarySlots(timeline) {
+  return timeline.flatMap((t, i) => (t.primary ? [i + 1] : []));
+}
+
+/** The day an income event arrives in the month, if it does. */
+function incomeEventDates(event, year, monthIndex) {
+  const start = parseDate(event.date);
+  if (!start) return [];
+  const month = year * 12 + monthIndex;
+  const startMonth = start.getFullYear() * 12 + start.getMonth();
+  if (month < startMonth) return [];
+  const onDay = () => [new Date(year, monthIndex, clampDay(start.getDate(), year, monthIndex))];
+  switch (event.repeat) {
+    case "monthly":
+      return onDay();
+    case "yearly":
+      return monthIndex === start.getMonth() ? onDay() : [];
+    default:
+      return month === startMonth ? [start] : [];
+  }
+}
+
+/**
+ * The month's payday timeline with the month's income events added to the
+ * pay period they arrive in: from a payday up to the day before the next
+ * one. An event arriving before the first payday still counts this month,
+ * on the first paycheck; each contribution keeps its `date`.
+ */
+function paydayTimeline(income, holidayDates, year, monthIndex) {
+  const timeline = sourceTimeline(income, holidayDates, year, monthIndex);
+  if (!income.events?.length || !timeline.length) return timeline;
+  const paydays = timeline.map((t) => t.date);
+  const sources = incomeSources(income);
+  for (const event of income.events) {
+    const source = sources.find((x) => x.id === event.sourceId);
+    for (const date of incomeEventDates(event, year, monthIndex)) {
+      timeline[Math.max(1, lastPaydayBy(date, paydays, true)) - 1].contributions.push({
+        sourceId: `event-${event.id}-${dateKey(date)}`,
+        name: event.name || source?.name || "Extra",
+        owner: source?.owner || "",
+        amount: event.amount,
+        date,
+        event: true,
+      });
+    }
+  }
+  return timeline;
+}
+
+/** Actual pay dates for the month in order, across all income sources. */
+function paydayDates(income, holidayDates, year, monthIndex) {
+  return sourceTimeline(income, holidayDates, year, monthIndex).map((t) => t.date);
+}
+
+/**
+ * Holiday names keyed by yyyy-MM-dd for the year and its neighbours, since
+ * business-day shifts can cross a year boundary. User entries win on clashes.
+ */
+function holidayCalendar(userHolidays, usePhHolidays, year) {
+  const map = new Map();
+  if (usePhHolidays) {
+    for (const y of [year - 1, year, year + 1]) {
+      for (const h of phHolidays(y)) map.set(h.date, h.name);
+    }
+  }
+  for (const h of userHolidays) map.set(h.date, h.name);
+  return map;
+}
+
+/** Net pay for the nth (0-based) payday of a month: month override, then per-payday amount, then default. */
+function paycheckNet(income, i, year, monthIndex) {
+  const override = income.monthOverrides?.[monthKey(new Date(year, monthIndex, 1))]?.[i];
+  if (Number.isFinite(override)) return override;
+  const usual = income.paycheckNets?.[i];
+  if (Number.isFinite(usual)) return usual;
+  return income.netPerPaycheck;
+}
+
+/**
+ * 1-based paycheck that funds a bill: the last payday strictly before the due
+ * date. Bills due on or before the first payday belong to the month's last
+ * paycheck, which is what covers them in the previous cycle.
+ */
+function assignToPaycheck(dueDate, paydays) {
+  return lastPaydayBy(dueDate, paydays, false) || paydays.length;
+}
+
+/** 1-based index of the last payday before (or on, if inclusive) the cutoff; 0 when none. */
+function lastPaydayBy(cutoff, paydays, inclusive) {
+  let index = 0;
+  paydays.forEach((p, i) => {
+    if (inclusive ? p <= cutoff : p < cutoff) index = i + 1;
+  });
+  return index;
+}
+
+/**
+ * Place each bill instance on a paycheck and record the rule that placed it
+ * in `assignedBy`. Pinned bills go to their paycheck when the month has it;
+ * the rest follow the budget's strategy.
+ */
+function assignBills(bills, paydays, slots, incomes, settings) {
+  const n = slots.length;
+
+  // Split and pinned bills are placed up front, as arrays of instances,
+  // counting the primary schedule's paydays
+  const fixed = (b) => {
+    if (b.split && n > 0) {
+      const shares = splitAmounts(b.split, b.amount, n);
+      const count = shares.filter((a) => a > 0).length;
+      let k = 0;
+      return shares.flatMap((amount, i) =>
+        amount > 0
+          ? [{
+              ...b,
+              amount,
+              instanceId: `${b.instanceId}-s${i + 1}`,
+              paycheck: slots[i],
+              splitPart: { index: ++k, count, total: b.amount },
+              assignedBy: `Split ${k} of ${count}`,
+            }]
+          : []
+      );
+    }
+    if (b.pinnedPaycheck >= 1 && b.pinnedPaycheck <= n) {
+      return [{ ...b, paycheck: slots[b.pinnedPaycheck - 1], assignedBy: `Pinned to paycheck #${b.pinnedPaycheck}` }];
+    }
+    return null;
+  };
+
+  const expanded = bills.map((b) => fixed(b) || b);
+  const left = [...incomes];
+  for (const x of expanded) if (Array.isArray(x)) for (const part of x) left[part.paycheck - 1] -= part.amount;
+
+  const placed = placeByStrategy(expanded.filter((x) => !Array.isArray(x)), paydays, left, settings)[Symbol.iterator]();
+  return expanded.flatMap((x) => (Array.isArray(x) ? x : [placed.next().value]));
+}
+
+/**
+ * Amount per paycheck (index 0 = #1) for a split bill. Shares past the last
+ * paycheck of the month fold into it, and the last share gets the remainder
+ * so the parts always add up to the bill.
+ */
+function splitAmounts(split, amount, n) {
+  const out = Array(n).fill(0);
+  const last = split.shares.length - 1;
+  let given = 0;
+  split.shares.forEach((v, i) => {
+    if (i === last) return;
+    const share = split.mode === "percent" ? (amount * v) / 100 : v;
+    const a = Math.round(Math.min(Math.max(0, share), amount - given) * 100) / 100;
+    out[Math.min(i, n - 1)] += a;
+    given += a;
+  });
+  out[Math.min(last, n - 1)] += Math.round((amount - given) * 100) / 100;
+  return out;
+}
+
+function describeSplit(split, amount) {
+  if (split.mode === "percent") return split.shares.map((v) => `${v}%`).join(" / ");
+  return splitAmounts(split, amount, split.shares.length).map(currency).join(" / ");
+}
+
+/**
+ * Strategy placement for unpinned bills. Bills with no qualifying payday in
+ * the month wrap to the last paycheck, as in assignToPaycheck. `left` is each
+ * paycheck's income after pinned bills.
+ */
+function placeByStrategy(bills, paydays, left, settings) {
+  const n = paydays.length;
+  switch (settings.assignStrategy) {
+    case "latest":
+      return bills.map((b) => {
+        const k = lastPaydayBy(b.dueDate, paydays, true);
+        return { ...b, paycheck: k || n, assignedBy: k ? `Latest payday by due date (#${k})` : "Before first payday; last check" };
+      });
+    case "leadDays": {
+      const lead = Math.max(0, settings.leadDays || 0);
+      return bills.map((b) => {
+        const k = lastPaydayBy(addDays(b.dueDate, -lead), paydays, true);
+        return { ...b, paycheck: k || n, assignedBy: k ? `Payday #${k} is ${lead}+ days before due` : `No payday ${lead}+ days before due; last check` };
+      });
+    }
+    case "balance": {
+      // Largest bills first, each to the eligible paycheck with the most left
+      const remaining = [...left];
+      const out = [...bills];
+      const order = bills.map((_, i) => i).sort((a, b) => bills[b].amount - bills[a].amount);
+      for (const i of order) {
+        const latest = lastPaydayBy(bills[i].dueDate, paydays, false) || n;
+        let best = 1;
+        for (let k = 2; k <= latest; k++) if (remaining[k - 1] > remaining[best - 1]) best = k;
+        remaining[best - 1] -= bills[i].amount;
+        out[i] = { ...bills[i], paycheck: best, assignedBy: `Balanced (eligible #1–#${latest})` };
+      }
+      return out;
+    }
+    default:
+      return bills.map((b) => {
+        const k = assignToPaycheck(b.dueDate, paydays);
+        const wrapped = !(paydays[0] < b.dueDate);
+        return { ...b, paycheck: k, assignedBy: wrapped ? "Due before payday #1; last check" : `Due after payday #${k}` };
+      });
+  }
+}
+
+/** Net pay per payday from every source, with `extras` spread evenly across the month's checks. */
+function paycheckIncomes(income, timeline) {
+  const extrasShare = income.extras > 0 ? income.extras / timeline.length : 0;
+  return timeline.map((t) => sumAmounts(t.contributions) + extrasShare);
+}
+
+/** One entry per occurrence that falls due in the month, matched to a paycheck. */
+function monthBills(expenses, envelopes, timeline, incomes, settings, holidayMap, year, monthIndex) {
+  const active = expenses.filter((e) => expenseStatus(e, year, monthIndex) === "active" && !envelopeFor(e, envelopes));
+  const paydays = timeline.map((t) => t.date);
+  const slots = primarySlots(timeline);
+  const ctx = { paydays: slots.map((k) => paydays[k - 1]), holidayDates: holidayMap };
+  const bills = active.flatMap((e) =>
+    occurrenceDates(e, year, monthIndex, ctx).map((date) => ({
+      ...e,
+      amount: amountFor(e, year, monthIndex),
+      dueDay: date.getDate(),
+      dueDate: shiftToBusinessDay(date, settings.dueDateAdjust, holidayMap),
+      instanceId: `${e.id}-${dateKey(date)}`,
+      occurrenceId: `${e.id}-${dateKey(date)}`,
+    }))
+  );
+  return assignBills(bills, paydays, slots, incomes, settings);
+}
+
+/** A paid bill counts at its actual amount, shared pro rata across split parts. */
+function actualAmount(bill, payment) {
+  if (!payment) return bill.amount;
+  return payment.amount * (bill.splitPart ? bill.amount / bill.splitPart.total : 1);
+}
+
+function sumAmounts(list) {
+  return list.reduce((s, x) => s + x.amount, 0);
+}
+
+/** The envelope budgeting for the expense instead of a bill, linked to it or to its category. */
+function envelopeFor(expense, envelopes) {
+  return envelopes.find((v) => v.expenseId === expense.id) || envelopes.find((v) => v.category && v.category === expense.category);
+}
+
+/**
+ * Cash each paycheck sets aside for envelopes, including overspending
+ * covered from its leftover. Only the primary schedule's paydays fund them.
+ */
+function envelopeReserve(envelopes, covers, month, timeline) {
+  const base = sumAmounts(envelopes);
+  return timeline.map((t) =>
+    t.primary ? base + sumAmounts(covers.filter((c) => c.month === month && c.paycheck === t.primary && c.from === "leftover")) : 0
+  );
+}
+
+/** Budget, spending and remaining balance of every envelope, per primary pay period of the month. */
+function envelopePeriods(envelopes, spending, covers, month, count) {
+  return Array.from({ length: count }, (_, i) => {
+    const inPeriod = (x) => x.month === month && x.paycheck === i + 1;
+    const periodCovers = covers.filter(inPeriod);
+    const periodSpending = spending.filter(inPeriod);
+    return envelopes.map((envelope) => {
+      const budget =
+        envelope.amount +
+        sumAmounts(periodCovers.filter((c) => c.to === envelope.id)) -
+        sumAmounts(periodCovers.filter((c) => c.from === envelope.id));
+      const entries = periodSpending.filter((x) => x.envelopeId === envelope.id);
+      const spent = sumAmounts(entries);
+      return { envelope, paycheck: i + 1, budget, spent, remaining: budget - spent, entries };
+    });
+  });
+}
+
+/** Group assigned bills under their paycheck, attaching any ledger payment. */
+function buildPaychecks(timeline, assigned, incomes, monthLedger, reserve = []) {
+  return timeline.map(({ date, contributions, primary }, i) => {
+    const items = assigned
+      .filter((e) => e.paycheck === i + 1)
+      .map((e) => ({ ...e, payment: monthLedger?.[e.occurrenceId] }));
+    return {
+      index: i + 1,
+      primary,
+      date,
+      items,
+      total: items.reduce((s, e) => s + actualAmount(e, e.payment), 0),
+      unpaid: items.reduce((s, e) => s + (e.payment ? 0 : e.amount), 0),
+      envelopes: reserve[i] ?? 0,
+      income: incomes[i],
+      contributions,
+    };
+  });
+}
+
+/** Paydays on or after `from` and on or before `to`, across months. */
+function paydaysBetween(state, from, to) {
+  const seen = new Map();
+  // Shifted paydays can spill into a neighbouring month, so look one month either side
+  for (let key = addMonths(monthKey(from), -1); key <= addMonths(monthKey(to), 1); key = addMonths(key, 1)) {
+    const [y, m] = key.split("-").map(Number);
+    const holidayMap = holidayCalendar(state.holidays, state.settings.usePhHolidays, y);
+    for (const d of paydayDates(state.income, holidayMap, y, m - 1)) {
+      if (d >= from && d <= to) seen.set(dateKey(d), d);
+    }
+  }
+  return [...seen.values()];
+}
+
+/** Set-asides marked paid for a fund, keyed by payday. */
+function fundPayments(ledger, fund) {
+  const prefix = `fund-${fund.id}-`;
+  return Object.values(ledger).flatMap((month) =>
+    Object.entries(month)
+      .filter(([id]) => id.startsWith(prefix))
+      .map(([id, entry]) => ({ payday: id.slice(prefix.length), amount: entry.amount }))
+  );
+}
+
+function fundSaved(ledger, fund) {
+  return fund.balance + sumAmounts(fundPayments(ledger, fund));
+}
+
+/**
+ * Auto-generated savings lines, one per fund per payday up to its target
+ * date. What is still needed after the recorded payments is spread once over
+ * the unpaid paydays from today to the target, so every later payday sets
+ * aside the same amount; only a payment (or a skipped one) changes it.
+ * Earlier paydays show only what was actually paid.
+ */
+function sinkingLines(state, paydays, today = new Date()) {
+  const from = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return state.sinkingFunds.flatMap((fund) => {
+    const target = parseDate(fund.targetDate);
+    if (!target) return [];
+    const payments = fundPayments(state.ledger, fund);
+    const paid = new Map(payments.map((x) => [x.payday, x.amount]));
+    const need = fund.target - fund.balance - sumAmounts(payments);
+    const left = from <= target ? paydaysBetween(state, from, target).filter((d) => !paid.has(dateKey(d))).length : 0;
+    const each = need > 0 && left > 0 ? Math.ceil(need / left) : 0;
+    return paydays.flatMap((payday, i) => {
+      const key = dateKey(payday);
+      const amount = paid.get(key) ?? (payday >= from && payday <= target ? each : 0);
+      if (!(amount > 0)) return [];
+      return [
+        {
+          id: `fund-${fund.id}`,
+          name: fund.name,
+          category: "savings",
+          amount,
+          dueDay: payday.getDate(),
+          dueDate: payday,
+          paycheck: i + 1,
+          instanceId: `fund-${fund.id}-${key}`,
+          occurrenceId: `fund-${fund.id}-${key}`,
+          assignedBy: `Sinking fund: ${currency(Math.max(0, need))} to go by ${format(target, "MMM d, yyyy")}`,
+          auto: "Every paycheck",
+        },
+      ];
+    });
+  });
+}
+
+const MAX_GOAL_MONTHS = 600;
+
+/**
+ * What the goal's linked expenses pay in during a month. Occurrences with a
+ * payment in `ledger` are left out, since the saved amount already has them.
+ */
+function goalContribution(goal, expenses, month, ledger = {}) {
+  const [y, m] = month.split("-").map(Number);
+  const paid = goal.since && month < goal.since ? [] : Object.keys(ledger[month] || {});
+  return expenses
+    .filter((e) => goal.expenseIds.includes(e.id) && expenseStatus(e, y, m - 1) === "active")
+    .reduce((s, e) => {
+      const due = occurrenceDays(e, y, m - 1).length - paid.filter((id) => id.startsWith(`${e.id}-`)).length;
+      return s + amountFor(e, y, m - 1) * Math.max(0, due);
+    }, 0);
+}
+
+/** Recorded payments of the goal's linked expenses, by ledger month. */
+function goalPayments(ledger, goal) {
+  return Object.entries(ledger).flatMap(([month, entries]) =>
+    goal.since && month < goal.since
+      ? []
+      : Object.entries(entries)
+          .filter(([id]) => goal.expenseIds.some((e) => id.startsWith(`${e}-`)))
+          .map(([, entry]) => ({ month, amount: entry.amount }))
+  );
+}
+
+function goalSaved(ledger, goal) {
+  return goal.balance + sumAmounts(goalPayments(ledger, goal));
+}
+
+/**
+ * Month by month from `fromMonth` and the saved amount, following each
+ * linked expense's amount changes and end month; occurrences already paid
+ * are in the saved amount and not counted again. `completion` is the month
+ * the target is reached, or null if contributions run out (or take more than
+ * 50 years) first.
+ */
+function projectGoal(goal, expenses, ledger, fromMonth) {
+  let balance = goalSaved(ledger, goal);
+  let completion = balance >= goal.target ? fromMonth : null;
+  let atDeadline = goal.deadline && goal.deadline < fromMonth ? balance : null;
+  const last = goal.deadline && goal.deadline > fromMonth ? goal.deadline : fromMonth;
+  for (let i = 0, key = fromMonth; i < MAX_GOAL_MONTHS; i++, key = addMonths(key, 1)) {
+    if (completion && key > last) break;
+    balance += goalContribution(goal, expenses, key, ledger);
+    if (!completion && balance >= goal.target) completion = key;
+    if (key === goal.deadline) atDeadline = balance;
+  }
+  const monthsLeft = goal.deadline && goal.deadline >= fromMonth ? monthsBetween(fromMonth, goal.deadline) + 1 : 0;
+  return {
+    monthly: goalContribution(goal, expenses, fromMonth),
+    completion,
+    atDeadline,
+    // Extra per month needed from now to close the gap by the deadline
+    shortfall: atDeadline !== null && atDeadline < goal.target && monthsLeft > 0 ? (goal.target - atDeadline) / monthsLeft : 0,
+  };
+}
+
+function monthsBetween(from, to) {
+  const [fy, fm] = from.split("-").map(Number);
+  const [ty, tm] = to.split("-").map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+}
 
-  const first = Math.min(d1, d2);
-  const second = Math.max(d1, d2);
+/** The Plan tab's paychecks for any month. */
+function planMonth(state, year, monthIndex) {
+  const holidayMap = holidayCalendar(state.holidays, state.settings.usePhHolidays, year);
+  const timeline = paydayTimeline(state.income, holidayMap, year, monthIndex);
+  const paydays = timeline.map((t) => t.date);
+  const incomes = paycheckIncomes(state.income, timeline);
+  const assigned = [
+    ...monthBills(state.expenses, state.envelopes, timeline, incomes, state.settings, holidayMap, year, monthIndex),
+    ...sinkingLines(state, paydays),
+  ];
+  const key = monthKey(new Date(year, monthIndex, 1));
+  const reserve = envelopeReserve(state.envelopes, state.envelopeCovers, key, timeline);
+  return buildPaychecks(timeline, assigned, incomes, state.ledger[key], reserve);
+}
 
-  if (dueDay > first && dueDay <= second) return 1; // after first → paycheck 1
-  if (dueDay > second || dueDay <= first) return 2; // after second → paycheck 2
+/**
+ * planMonth that reuses the month's plan from `cache` while everything it
+ * reads is unchanged: the shared settings and lists, that month's ledger and
+ * the sinking fund payments.
+ */
+function cachedPlanMonth(cache, state, year, monthIndex) {
+  const key = monthKey(new Date(year, monthIndex, 1));
+  const funds = JSON.stringify(state.sinkingFunds.map((f) => fundPayments(state.ledger, f)));
+  const inputs = [state.income, state.holidays, state.settings, state.expenses, state.sinkingFunds, state.envelopes, state.envelopeCovers, state.ledger[key], funds];
+  const hit = cache.get(key);
+  if (hit && hit.inputs.every((x, i) => x === inputs[i])) return hit.plan;
+  const plan = planMonth(state, year, monthIndex);
+  cache.set(key, { inputs, plan });
+  return plan;
 }
 
+/**
+ * Running balance paycheck by paycheck, from the opening balance through
+ * the end of `throughMonth` (yyyy-MM).
+ */
+function projectBalances(state, throughMonth, plan = planMonth) {
+  const { openingBalance, openingMonth } = state.settings;
+  const rows = [];
+  let balance = openingBalance;
+  for (let key = openingMonth; key <= throughMonth; key = addMonths(key, 1)) {
+    const [y, m] = key.split("-").map(Number);
+    for (const p of plan(state, y, m - 1)) {
+      const carriedIn = balance;
+      balance += p.income - p.total - p.envelopes;
+      rows.push({ month: key, index: p.index, date: p.date, income: p.income, total: p.total + p.envelopes, carriedIn, balance });
+    }
+  }
+  return rows;
+}
 
 function currency(n) {
   if (Number.isNaN(n)) return "₱0";
@@ -102,29 +1106,90 @@ function currency(n) {
 
 const STORAGE_KEY = "semiMonthlyBudget.v1";
 
+const DEFAULT_SETTINGS = {
+  usePhHolidays: true,
+  dueDateAdjust: "none",
+  assignStrategy: "window",
+  leadDays: 3,
+  carryover: false,
+  openingBalance: 0,
+  openingMonth: monthKey(new Date()),
+  cushion: 0,
+  matchAmountTolerance: DEFAULT_MATCH_OPTIONS.amountTolerance,
+  matchDateWindow: DEFAULT_MATCH_OPTIONS.dateWindow,
+};
+
+const DEFAULT_DEBT_PLAN = { strategy: "avalanche", extraMode: "none", extra: 0, leftoverPct: 100, customOrder: [] };
+
+const DEFAULT_PAYROLL = {
+  gross: 0,
+  tableId: RATE_TABLES[0].id,
+  split: { sss: "first", philhealth: "first", pagibig: "first", tax: "even" },
+  tables: [],
+};
+
+/** Fill in fields added after a save was written. */
+function withDefaults(state) /** @returns {BudgetState} */ {
+  return {
+    ...state,
+    income: { paydayAdjust: "none", payFrequency: "semimonthly", ...state.income },
+    holidays: Array.isArray(state.holidays) ? state.holidays : [],
+    settings: { ...DEFAULT_SETTINGS, ...state.settings },
+    payroll: { ...DEFAULT_PAYROLL, ...state.payroll },
+    debtPlan: { ...DEFAULT_DEBT_PLAN, ...state.debtPlan },
+    ledger: state.ledger && typeof state.ledger === "object" ? state.ledger : {},
+    transactions: Array.isArray(state.transactions) ? state.transactions : [],
+    bankMappings: state.bankMappings && typeof state.bankMappings === "object" ? state.bankMappings : {},
+    rejectedMatches: Array.isArray(state.rejectedMatches) ? state.rejectedMatches : [],
+    envelopes: Array.isArray(state.envelopes) ? state.envelopes : [],
+    envelopeSpending: Array.isArray(state.envelopeSpending) ? state.envelopeSpending : [],
+    envelopeCovers: Array.isArray(state.envelopeCovers) ? state.envelopeCovers : [],
+    sinkingFunds: Array.isArray(state.sinkingFunds) ? state.sinkingFunds : [],
+    goals: Array.isArray(state.goals) ? state.goals : [],
+  };
+}
+
 function loadState() /** @returns {BudgetState} */ {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) throw new Error("empty");
     const parsed = JSON.parse(raw);
     if (!parsed.income || !Array.isArray(parsed.expenses)) throw new Error("invalid");
-    return parsed;
+    return withDefaults(parsed);
   } catch {
-    return {
-      income: { paycheckDays: [1, 16], netPerPaycheck: 20000, extras: 0 },
-      expenses: [
-        { id: uid(), name: "Rent", amount: 10000, dueDay: 1, category: "fixed" },
-        { id: uid(), name: "Electric", amount: 2500, dueDay: 6, category: "fixed" },
-        { id: uid(), name: "Water", amount: 600, dueDay: 10, category: "fixed" },
-        { id: uid(), name: "Groceries", amount: 6000, dueDay: 18, category: "variable" },
-        { id: uid(), name: "Mobile Plan", amount: 999, dueDay: 20, category: "fixed" },
-        { id: uid(), name: "Debt Snowball", amount: 3000, dueDay: 25, category: "debt" },
-        { id: uid(), name: "Emergency Fund", amount: 2000, dueDay: 30, category: "savings" },
-      ],
-    };
+    return defaultState();
   }
 }
 
+// The built-in starting budget, with a few sample expenses
+function defaultState() /** @returns {BudgetState} */ {
+  return {
+    income: { payFrequency: "semimonthly", paycheckDays: [1, 16], netPerPaycheck: 20000, extras: 0, paydayAdjust: "none" },
+    holidays: [],
+    settings: DEFAULT_SETTINGS,
+    payroll: DEFAULT_PAYROLL,
+    debtPlan: DEFAULT_DEBT_PLAN,
+    ledger: {},
+    transactions: [],
+    bankMappings: {},
+    rejectedMatches: [],
+    envelopes: [],
+    envelopeSpending: [],
+    envelopeCovers: [],
+    sinkingFunds: [],
+    goals: [],
+    expenses: [
+      { id: uid(), name: "Rent", amount: 10000, dueDay: 1, category: "fixed" },
+      { id: uid(), name: "Electric", amount: 2500, dueDay: 6, category: "fixed" },
+      { id: uid(), name: "Water", amount: 600, dueDay: 10, category: "fixed" },
+      { id: uid(), name: "Groceries", amount: 6000, dueDay: 18, category: "variable" },
+      { id: uid(), name: "Mobile Plan", amount: 999, dueDay: 20, category: "fixed" },
+      { id: uid(), name: "Debt Snowball", amount: 3000, dueDay: 25, category: "debt" },
+      { id: uid(), name: "Emergency Fund", amount: 2000, dueDay: 30, category: "savings" },
+    ],
+  };
+}
+
 function saveState(state) {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
 }
@@ -161,92 +1226,762 @@ function PaycheckSummary({
   paycheckIndex,
   totalIncome,
   totalExpenses,
+  unpaid,
+  carriedIn,
+  envelopes = 0,
+  contributions,
 }) {
-  const remaining = totalIncome - totalExpenses;
+  const remaining = (carriedIn ?? 0) + totalIncome - totalExpenses - envelopes;
   return (
-    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+    <div className={`grid grid-cols-2 gap-3 ${carriedIn === undefined ? "md:grid-cols-5" : "md:grid-cols-6"}`}>
       <div className="p-3 rounded-xl bg-muted">
         <div className="text-xs text-muted-foreground">Paycheck</div>
         <div className="text-base font-semibold">#{paycheckIndex}</div>
       </div>
+      {carriedIn !== undefined && (
+        <div className="p-3 rounded-xl bg-muted">
+          <div className="text-xs text-muted-foreground">Carried in</div>
+          <div className={`text-base font-semibold ${carriedIn < 0 ? "text-rose-600 dark:text-rose-400" : ""}`}>{currency(carriedIn)}</div>
+        </div>
+      )}
       <div className="p-3 rounded-xl bg-muted">
         <div className="text-xs text-muted-foreground">Income</div>
         <div className="text-base font-semibold">{currency(totalIncome)}</div>
+        {contributions?.map((c) => (
+          <div key={c.sourceId} className="text-xs text-muted-foreground">
+            {c.name}
+            {c.owner && ` (${c.owner})`}: {currency(c.amount)}
+          </div>
+        ))}
       </div>
       <div className="p-3 rounded-xl bg-muted">
         <div className="text-xs text-muted-foreground">Bills</div>
         <div className="text-base font-semibold">{currency(totalExpenses)}</div>
+        {envelopes > 0 && <div className="text-xs text-muted-foreground">+ {currency(envelopes)} envelopes</div>}
       </div>
       <div className={`p-3 rounded-xl ${remaining >= 0 ? "bg-emerald-50 dark:bg-emerald-950" : "bg-rose-50 dark:bg-rose-950"}`}>
         <div className="text-xs text-muted-foreground">Remaining</div>
         <div className={`text-base font-semibold ${remaining < 0 ? "text-rose-600 dark:text-rose-400" : ""}`}>{currency(remaining)}</div>
       </div>
+      <div className="p-3 rounded-xl bg-muted">
+        <div className="text-xs text-muted-foreground">Left to pay</div>
+        <div className="text-base font-semibold">{currency(unpaid)}</div>
+      </div>
     </div>
   );
 }
 
-function ExpensesTable({ items, onDelete }) {
+/**
+ * With onPin, rows can be dragged onto another paycheck's table (the one
+ * with a matching dropPaycheck) to pin them there.
+ */
+function ExpensesTable({ items, onDelete, onPin, dropPaycheck, onAmountChanges, onPayment }) {
+  const [dragOver, setDragOver] = useState(false);
+  const droppable = onPin && dropPaycheck;
+
+  const dropProps = droppable
+    ? {
+        onDragOver: (ev) => {
+          ev.preventDefault();
+          setDragOver(true);
+        },
+        onDragLeave: () => setDragOver(false),
+        onDrop: (ev) => {
+          ev.preventDefault();
+          setDragOver(false);
+          const id = ev.dataTransfer.getData("text/plain");
+          if (id) onPin(id, dropPaycheck);
+        },
+      }
+    : {};
+
   return (
-    <Table>
-      <TableHeader>
-        <TableRow>
-          <TableHead>Name</TableHead>
-          <TableHead className="text-right">Amount</TableHead>
-          <TableHead className="text-center">Due Day</TableHead>
-          <TableHead className="text-center">Category</TableHead>
-          <TableHead className="text-right">Actions</TableHead>
-        </TableRow>
-      </TableHeader>
-      <TableBody>
-        {items.length === 0 && (
+    <div {...dropProps} className={dragOver ? "rounded-lg ring-2 ring-primary/40" : undefined}>
+      <Table>
+        <TableHeader>
           <TableRow>
-            <TableCell colSpan={5} className="text-center text-sm text-muted-foreground">
-              No expenses yet. Add one using the button above.
-            </TableCell>
-          </TableRow>
-        )}
-        {items.map((e) => (
-          <TableRow key={e.id}>
-            <TableCell className="font-medium">{e.name}</TableCell>
-            <TableCell className="text-right">{currency(e.amount)}</TableCell>
-            <TableCell className="text-center">{e.dueDay}</TableCell>
-            <TableCell className="text-center">
-              <Badge variant="secondary" className="rounded-full">
-                {CATEGORIES.find((c) => c.id === e.category)?.label || e.category}
-              </Badge>
-            </TableCell>
-            <TableCell className="text-right">
-              <Button variant="ghost" size="icon" onClick={() => onDelete(e.id)}>
-                <Trash2 className="h-4 w-4" />
-              </Button>
-            </TableCell>
+            <TableHead>Name</TableHead>
+            <TableHead className="text-right">Amount</TableHead>
+            <TableHead className="text-center">Due Day</TableHead>
+            <TableHead className="text-center">Repeats</TableHead>
+            <TableHead className="text-center">Category</TableHead>
+            {onPayment && <TableHead className="text-center">Status</TableHead>}
+            <TableHead className="text-right">Actions</TableHead>
           </TableRow>
-        ))}
-      </TableBody>
-    </Table>
+        </TableHeader>
+        <TableBody>
+          {items.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={onPayment ? 7 : 6} className="text-center text-sm text-muted-foreground">
+                No expenses yet. Add one using the button above.
+              </TableCell>
+            </TableRow>
+          )}
+          {items.map((e) => (
+            <TableRow
+              key={e.instanceId || e.id}
+              draggable={Boolean(droppable) && !e.auto}
+              onDragStart={(ev) => ev.dataTransfer.setData("text/plain", e.id)}
+              className={droppable && !e.auto ? "cursor-grab" : undefined}
+            >
+              <TableCell className="font-medium">
+                {e.name}
+                {e.pinnedPaycheck && (
+                  <Badge
+                    variant="outline"
+                    className="ml-2 rounded-full cursor-pointer"
+                    title={onPin ? "Pinned; click to assign automatically" : "Pinned"}
+                    onClick={() => onPin?.(e.id, undefined)}
+                  >
+                    <Pin className="h-3 w-3 mr-1" />#{e.pinnedPaycheck}
+                  </Badge>
+                )}
+                {e.split && (
+                  <Badge
+                    variant="outline"
+                    className="ml-2 rounded-full"
+                    title={e.splitPart ? `Share of ${currency(e.splitPart.total)}` : describeSplit(e.split, e.amount)}
+                  >
+                    <Split className="h-3 w-3 mr-1" />
+                    {e.splitPart ? `split ${e.splitPart.index}/${e.splitPart.count}` : "split"}
+                  </Badge>
+                )}
+                {e.assignedBy && <div className="text-xs font-normal text-muted-foreground">{e.assignedBy}</div>}
+                {e.envelope && <div className="text-xs font-normal text-muted-foreground">Budgeted by the {e.envelope} envelope instead</div>}
+              </TableCell>
+              <TableCell className="text-right">
+                {currency(e.amount)}
+                {e.nextChange && (
+                  <div className="text-xs text-muted-foreground">
+                    → {currency(e.nextChange.amount)} from {format(parseISO(`${e.nextChange.from}-01`), "MMM yyyy")}
+                  </div>
+                )}
+              </TableCell>
+              <TableCell className="text-center">{e.dueDate ? format(e.dueDate, "MMM d") : describeDueRule(e)}</TableCell>
+              <TableCell className="text-center text-xs text-muted-foreground">
+                {e.auto || describeRecurrence(e)}
+                {!e.auto && describeLifespan(e) && <div>{describeLifespan(e)}</div>}
+              </TableCell>
+              <TableCell className="text-center">
+                <Badge variant="secondary" className="rounded-full">
+                  {CATEGORIES.find((c) => c.id === e.category)?.label || e.category}
+                </Badge>
+              </TableCell>
+              {onPayment && (
+                <TableCell className="text-center">
+                  <PaymentStatus item={e} onPayment={onPayment} />
+                </TableCell>
+              )}
+              <TableCell className="text-right whitespace-nowrap">
+                {e.loan && <AmortizationDialog expense={e} />}
+                {onAmountChanges && !e.loan && <AmountChangesDialog expense={e} onSave={onAmountChanges} />}
+                {!e.auto && (
+                  <Button variant="ghost" size="icon" onClick={() => onDelete(e.id)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
   );
 }
 
-function AddExpenseDialog({ onAdd }) {
-  const [open, setOpen] = useState(false);
-  const [name, setName] = useState("");
-  const [amount, setAmount] = useState("");
+function ProgressBar({ value, max, tone = "bg-emerald-500" }) {
+  const pct = max > 0 ? Math.min(100, Math.max(0, (value / max) * 100)) : 0;
+  return (
+    <div className="h-2 w-full rounded-full bg-muted overflow-hidden">
+      <div className={`h-full rounded-full ${tone}`} style={{ width: `${pct}%` }} />
+    </div>
+  );
+}
+
+function EnvelopesDialog({ envelopes, expenses, onAdd, onDelete }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [amount, setAmount] = useState("");
+  const [replaces, setReplaces] = useState("none"); // "none", "expense:<id>" or "category:<id>"
+
+  function describeReplaces(envelope) {
+    if (envelope.expenseId) return `Replaces ${expenses.find((e) => e.id === envelope.expenseId)?.name || "a deleted bill"}`;
+    if (envelope.category) return `Replaces ${CATEGORIES.find((c) => c.id === envelope.category)?.label || envelope.category} bills`;
+    return null;
+  }
+
+  function submit() {
+    const [kind, id] = replaces.split(":");
+    const linked = kind === "expense" ? expenses.find((e) => e.id === id) : null;
+    const n = name.trim() || linked?.name || "";
+    const a = Number(amount);
+    if (!n || !Number.isFinite(a) || a <= 0) return;
+    onAdd({ id: uid(), name: n, amount: a, ...(kind === "expense" && { expenseId: id }), ...(kind === "category" && { category: id }) });
+    setName("");
+    setAmount("");
+    setReplaces("none");
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Plus className="h-4 w-4 mr-2" /> Envelopes
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>Envelopes</DialogTitle>
+          <DialogDescription>
+            Each envelope is set aside from every paycheck and spent down through the pay period. The bills it replaces drop out of the plan.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-[1fr_auto_auto] gap-2 items-end">
+          <Field label="Name">
+            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Groceries" />
+          </Field>
+          <Field label="Per paycheck (₱)">
+            <Input type="number" className="w-32" value={amount} onChange={(e) => setAmount(e.target.value)} />
+          </Field>
+          <Button onClick={submit}>Add</Button>
+          <div className="col-span-3">
+            <Field label="Replaces">
+              <Select value={replaces} onValueChange={setReplaces}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="none">Nothing; new spending</SelectItem>
+                  {expenses.map((e) => (
+                    <SelectItem key={e.id} value={`expense:${e.id}`}>{e.name}</SelectItem>
+                  ))}
+                  {CATEGORIES.map((c) => (
+                    <SelectItem key={c.id} value={`category:${c.id}`}>All {c.label} bills</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
+          </div>
+        </div>
+        <Table>
+          <TableBody>
+            {envelopes.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={3} className="text-center text-sm text-muted-foreground">
+                  No envelopes yet.
+                </TableCell>
+              </TableRow>
+            )}
+            {envelopes.map((e) => (
+              <TableRow key={e.id}>
+                <TableCell className="font-medium">
+                  {e.name}
+                  {describeReplaces(e) && <div className="text-xs font-normal text-muted-foreground">{describeReplaces(e)}</div>}
+                </TableCell>
+                <TableCell className="text-right">{currency(e.amount)}</TableCell>
+                <TableCell className="text-right">
+                  <Button variant="ghost" size="icon" onClick={() => onDelete(e.id)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function SinkingFundDialog({ onAdd }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [target, setTarget] = useState("");
+  const [targetDate, setTargetDate] = useState("");
+  const [balance, setBalance] = useState("");
+
+  function submit() {
+    const n = name.trim();
+    const t = Number(target);
+    const b = Number(balance) || 0;
+    if (!n || !Number.isFinite(t) || t <= 0 || !parseDate(targetDate) || b < 0) return;
+    onAdd({ id: uid(), name: n, target: t, targetDate, balance: b });
+    setName("");
+    setTarget("");
+    setTargetDate("");
+    setBalance("");
+    setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Plus className="h-4 w-4 mr-2" /> Add fund
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[460px]">
+        <DialogHeader>
+          <DialogTitle>New sinking fund</DialogTitle>
+          <DialogDescription>What's still needed is spread evenly over the paydays before the target date.</DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-3">
+          <div className="col-span-2">
+            <Field label="Name">
+              <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Christmas gifts" />
+            </Field>
+          </div>
+          <Field label="Target (₱)">
+            <Input type="number" value={target} onChange={(e) => setTarget(e.target.value)} />
+          </Field>
+          <Field label="Needed by">
+            <Input type="date" value={targetDate} onChange={(e) => setTargetDate(e.target.value)} />
+          </Field>
+          <Field label="Already saved (₱)">
+            <Input type="number" value={balance} onChange={(e) => setBalance(e.target.value)} placeholder="0" />
+          </Field>
+        </div>
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={submit}>Add</Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/** One envelope in one pay period: remaining bar, spending log, and covering an overspend. */
+function EnvelopeRow({ row, sources, onLog, onDeleteEntry, onCover }) {
+  const [logOpen, setLogOpen] = useState(false);
+  const [amount, setAmount] = useState("");
+  const [date, setDate] = useState("");
+  const [note, setNote] = useState("");
+  const [coverOpen, setCoverOpen] = useState(false);
+  const [from, setFrom] = useState("leftover");
+  const [coverAmount, setCoverAmount] = useState("");
+  const over = row.remaining < 0;
+  const source = sources.find((x) => x.id === from);
+
+  function openLog(next) {
+    if (next) {
+      setAmount("");
+      setDate(dateKey(new Date()));
+      setNote("");
+    }
+    setLogOpen(next);
+  }
+
+  function log() {
+    const a = Number(amount);
+    if (!Number.isFinite(a) || a <= 0 || !parseDate(date)) return;
+    onLog({ amount: a, date, note: note.trim() });
+    setAmount("");
+    setNote("");
+  }
+
+  function openCover(next) {
+    if (next) {
+      setFrom("leftover");
+      setCoverAmount(String(-row.remaining));
+    }
+    setCoverOpen(next);
+  }
+
+  function cover() {
+    const a = Number(coverAmount);
+    if (!Number.isFinite(a) || a <= 0) return;
+    onCover(from, a);
+    setCoverOpen(false);
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <span className="font-medium">{row.envelope.name}</span>
+        <span className={over ? "text-rose-600 dark:text-rose-400" : "text-muted-foreground"}>
+          {over ? `${currency(-row.remaining)} over` : `${currency(row.remaining)} left`} of {currency(row.budget)}
+        </span>
+      </div>
+      <ProgressBar value={over ? row.spent : row.remaining} max={over ? row.spent : row.budget} tone={over ? "bg-rose-500" : "bg-emerald-500"} />
+      <div className="flex gap-2">
+        <Dialog open={logOpen} onOpenChange={openLog}>
+          <DialogTrigger asChild>
+            <Button variant="ghost" size="sm">Log spending</Button>
+          </DialogTrigger>
+          <DialogContent className="sm:max-w-[460px]">
+            <DialogHeader>
+              <DialogTitle>{row.envelope.name}, paycheck #{row.paycheck}</DialogTitle>
+              <DialogDescription>
+                {currency(row.spent)} spent of {currency(row.budget)}.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="grid grid-cols-[auto_auto_1fr_auto] gap-2 items-end">
+              <Field label="Amount (₱)">
+                <Input type="number" className="w-28" value={amount} onChange={(e) => setAmount(e.target.value)} />
+              </Field>
+              <Field label="Date">
+                <Input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+              </Field>
+              <Field label="Note">
+                <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="optional" />
+              </Field>
+              <Button onClick={log}>Log</Button>
+            </div>
+            <Table>
+              <TableBody>
+                {row.entries.map((x) => (
+                  <TableRow key={x.id}>
+                    <TableCell>{format(parseISO(x.date), "MMM d")}</TableCell>
+                    <TableCell className="text-muted-foreground">{x.note}</TableCell>
+                    <TableCell className="text-right">{currency(x.amount)}</TableCell>
+                    <TableCell className="text-right">
+                      <Button variant="ghost" size="icon" onClick={() => onDeleteEntry(x.id)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </DialogContent>
+        </Dialog>
+        {over && (
+          <Dialog open={coverOpen} onOpenChange={openCover}>
+            <DialogTrigger asChild>
+              <Button variant="outline" size="sm">Cover</Button>
+            </DialogTrigger>
+            <DialogContent className="sm:max-w-[420px]">
+              <DialogHeader>
+                <DialogTitle>Cover {row.envelope.name}</DialogTitle>
+                <DialogDescription>Move money into this envelope to cover {currency(-row.remaining)} of overspending.</DialogDescription>
+              </DialogHeader>
+              <div className="grid grid-cols-2 gap-3">
+                <Field label="From" hint={source && `${currency(source.available)} available`}>
+                  <Select value={from} onValueChange={setFrom}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {sources.map((x) => (
+                        <SelectItem key={x.id} value={x.id}>{x.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </Field>
+                <Field label="Amount (₱)">
+                  <Input type="number" value={coverAmount} onChange={(e) => setCoverAmount(e.target.value)} />
+                </Field>
+              </div>
+              <div className="flex justify-end gap-2">
+                <Button variant="ghost" onClick={() => setCoverOpen(false)}>Cancel</Button>
+                <Button onClick={cover}>Move</Button>
+              </div>
+            </DialogContent>
+          </Dialog>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Paid badge (click to undo) or a button to record the payment. */
+function PaymentStatus({ item, onPayment }) {
+  const [open, setOpen] = useState(false);
+  const planned = item.splitPart?.total ?? item.amount;
+  const [amount, setAmount] = useState("");
+  const [date, setDate] = useState("");
+  const [method, setMethod] = useState(PAYMENT_METHODS[0]);
+
+  if (item.payment) {
+    return (
+      <Badge
+        className="rounded-full cursor-pointer bg-emerald-600 hover:bg-emerald-700"
+        title={`Paid ${currency(item.payment.amount)} on ${format(parseISO(item.payment.date), "PP")} via ${item.payment.method}. Click to mark unpaid.`}
+        onClick={() => onPayment(item.occurrenceId, null)}
+      >
+        <Check className="h-3 w-3 mr-1" />Paid {format(parseISO(item.payment.date), "MMM d")}
+      </Badge>
+    );
+  }
+
+  function openDialog(next) {
+    if (next) {
+      setAmount(String(planned));
+      setDate(dateKey(new Date()));
+    }
+    setOpen(next);
+  }
+
+  function save() {
+    const a = Number(amount);
+    if (!Number.isFinite(a) || a < 0 || !parseDate(date)) return;
+    onPayment(item.occurrenceId, { amount: a, date, method });
+    setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={openDialog}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">Mark paid</Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[420px]">
+        <DialogHeader>
+          <DialogTitle>Pay {item.name}</DialogTitle>
+          <DialogDescription>
+            Planned {currency(planned)}, due {format(item.dueDate, "PP")}.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Actual amount (₱)">
+            <Input type="number" value={amount} onChange={(e) => setAmount(e.target.value)} />
+          </Field>
+          <Field label="Paid on">
+            <Input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+          </Field>
+          <Field label="Method">
+            <Select value={method} onValueChange={setMethod}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {PAYMENT_METHODS.map((m) => (
+                  <SelectItem key={m} value={m}>{m}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </Field>
+        </div>
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={save}>Save</Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function AmountChangesDialog({ expense, onSave }) {
+  const [from, setFrom] = useState("");
+  const [amount, setAmount] = useState("");
+  const changes = sortedChanges(expense);
+
+  function add() {
+    const a = Number(amount);
+    if (!from || !Number.isFinite(a) || a <= 0) return;
+    onSave(expense.id, [...changes.filter((c) => c.from !== from), { from, amount: a }]);
+    setFrom("");
+    setAmount("");
+  }
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="icon" title="Amount changes">
+          <History className="h-4 w-4" />
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>{expense.name} amount changes</DialogTitle>
+          <DialogDescription>
+            {currency(expense.baseAmount ?? expense.amount)} until the first change below.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-[1fr_1fr_auto] gap-2 items-end">
+          <Field label="From month">
+            <Input type="month" value={from} onChange={(e) => setFrom(e.target.value)} />
+          </Field>
+          <Field label="New amount (₱)">
+            <Input type="number" value={amount} onChange={(e) => setAmount(e.target.value)} />
+          </Field>
+          <Button onClick={add}>Add</Button>
+        </div>
+        <Table>
+          <TableBody>
+            {changes.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={3} className="text-center text-sm text-muted-foreground">
+                  No changes scheduled.
+                </TableCell>
+              </TableRow>
+            )}
+            {changes.map((c) => (
+              <TableRow key={c.from}>
+                <TableCell>From {format(parseISO(`${c.from}-01`), "MMM yyyy")}</TableCell>
+                <TableCell className="text-right">{currency(c.amount)}</TableCell>
+                <TableCell className="text-right">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => onSave(expense.id, changes.filter((x) => x.from !== c.from))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function AmortizationDialog({ expense }) {
+  const rows = useMemo(() => amortize(expense.loan), [expense.loan]);
+  const totalInterest = rows.reduce((s, r) => s + r.interest, 0);
+  const method = INTEREST_METHODS.find((m) => m.id === expense.loan.method)?.label;
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="icon" title="Amortization schedule">
+          <ListOrdered className="h-4 w-4" />
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[640px]">
+        <DialogHeader>
+          <DialogTitle>{expense.name} schedule</DialogTitle>
+          <DialogDescription>
+            {currency(expense.loan.principal)} at {expense.loan.rate}% {method?.toLowerCase()}, {expense.loan.termMonths} months.
+            Total interest {currency(totalInterest)}.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="max-h-[60vh] overflow-y-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>#</TableHead>
+                <TableHead>Month</TableHead>
+                <TableHead className="text-right">Payment</TableHead>
+                <TableHead className="text-right">Interest</TableHead>
+                <TableHead className="text-right">Principal</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.map((r) => (
+                <TableRow key={r.n}>
+                  <TableCell>{r.n}</TableCell>
+                  <TableCell>{format(parseISO(`${r.month}-01`), "MMM yyyy")}</TableCell>
+                  <TableCell className="text-right">{currency(r.payment)}</TableCell>
+                  <TableCell className="text-right">{currency(r.interest)}</TableCell>
+                  <TableCell className="text-right">{currency(r.principal)}</TableCell>
+                  <TableCell className="text-right">{currency(r.balance)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function AddExpenseDialog({ paydays, onAdd }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [amount, setAmount] = useState("");
   const [dueDay, setDueDay] = useState("1");
+  const [dueRule, setDueRule] = useState({ type: "day", n: 1, weekday: 1, paycheck: 1 });
   const [category, setCategory] = useState("fixed");
+  const [frequency, setFrequency] = useState("monthly");
+  const [weeks, setWeeks] = useState("2");
+  const [anchor, setAnchor] = useState("");
+  const [pin, setPin] = useState("auto");
+  const [splitMode, setSplitMode] = useState("percent");
+  const [firstShare, setFirstShare] = useState("50");
+  const [startMonth, setStartMonth] = useState("");
+  const [ends, setEnds] = useState("never");
+  const [endMonth, setEndMonth] = useState("");
+  const [payments, setPayments] = useState("12");
+  const [isLoan, setIsLoan] = useState(false);
+  const [loan, setLoan] = useState({ principal: "", rate: "", method: "diminishing", termMonths: "12", startMonth: "" });
+
+  const [debtBalance, setDebtBalance] = useState("");
+  const [debtApr, setDebtApr] = useState("");
+
+  const asLoan = category === "debt" && isLoan;
+  const needsAnchor = !asLoan && frequency !== "monthly";
+  const weekBased = !asLoan && (frequency === "weekly" || frequency === "everyNWeeks");
+  const parsedLoan = {
+    principal: Number(loan.principal),
+    rate: Number(loan.rate) || 0,
+    method: loan.method,
+    termMonths: Math.floor(Number(loan.termMonths)),
+    startMonth: loan.startMonth || monthKey(new Date()),
+  };
 
   function reset() {
     setName("");
     setAmount("");
     setDueDay("1");
+    setDueRule({ type: "day", n: 1, weekday: 1, paycheck: 1 });
     setCategory("fixed");
+    setFrequency("monthly");
+    setWeeks("2");
+    setAnchor("");
+    setPin("auto");
+    setSplitMode("percent");
+    setFirstShare("50");
+    setStartMonth("");
+    setEnds("never");
+    setEndMonth("");
+    setPayments("12");
+    setIsLoan(false);
+    setLoan({ principal: "", rate: "", method: "diminishing", termMonths: "12", startMonth: "" });
+    setDebtBalance("");
+    setDebtApr("");
   }
 
   function submit() {
     const n = name.trim();
-    const a = Number(amount);
-    const d = Number(dueDay);
+    const a = asLoan ? monthlyPayment(parsedLoan) : Number(amount);
+    const anchorDate = parseDate(anchor);
+    // Non-monthly schedules take their day from the anchor date; other due
+    // rules keep a nominal dueDay for older readers of the data
+    const byDay = weekBased || dueRule.type === "day";
+    const d = needsAnchor && byDay ? anchorDate?.getDate() : byDay ? Number(dueDay) : dueRule.type === "lastDay" ? 31 : 1;
     if (!n || !Number.isFinite(a) || a <= 0 || !Number.isInteger(d)) return;
-    onAdd({ id: uid(), name: n, amount: a, dueDay: d, category });
+    if (needsAnchor && !anchorDate) return;
+    /** @type {Recurrence} */
+    const recurrence = { frequency: asLoan ? "monthly" : frequency };
+    if (needsAnchor) recurrence.anchor = anchor;
+    if (recurrence.frequency === "everyNWeeks") recurrence.interval = Math.max(1, Math.floor(Number(weeks) || 1));
+    const exp = { id: uid(), name: n, amount: a, dueDay: d, category, recurrence };
+    if (!byDay) {
+      const { type, n: count, weekday, paycheck } = dueRule;
+      exp.dueRule =
+        type === "nthWeekday" ? { type, n: count, weekday }
+        : type === "businessDaysBeforeEnd" ? { type, n: Math.max(0, count) }
+        : type === "afterPayday" ? { type, n: Math.max(0, count), paycheck }
+        : { type };
+    }
+    if (pin === "split") {
+      const first = Number(firstShare);
+      const whole = splitMode === "percent" ? 100 : a;
+      if (!Number.isFinite(first) || first <= 0 || first >= whole) return;
+      exp.split = { mode: splitMode, shares: [first, Math.round((whole - first) * 100) / 100] };
+    } else if (pin !== "auto") {
+      exp.pinnedPaycheck = Number(pin);
+    }
+    if (asLoan) {
+      exp.loan = parsedLoan;
+    } else {
+      if (category === "debt" && Number(debtBalance) > 0) {
+        exp.debt = { balance: Number(debtBalance), apr: Number(debtApr) || 0 };
+      }
+      if (startMonth) exp.startMonth = startMonth;
+      if (ends === "month" && endMonth) exp.endMonth = endMonth;
+      if (ends === "payments") {
+        const count = Math.floor(Number(payments));
+        if (!(count > 0)) return;
+        const from = startMonth ? parseISO(`${startMonth}-01`) : new Date();
+        exp.endMonth = monthOfPayment(exp, from, count) || undefined;
+      }
+    }
+    if (exp.startMonth && exp.endMonth && exp.endMonth < exp.startMonth) return;
+    onAdd(exp);
     reset();
     setOpen(false);
   }
@@ -258,46 +1993,1066 @@ function AddExpenseDialog({ onAdd }) {
           <Plus className="h-4 w-4 mr-2" /> Add expense
         </Button>
       </DialogTrigger>
-      <DialogContent className="sm:max-w-[520px]">
+      <DialogContent className="sm:max-w-[520px] max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle>Add expense</DialogTitle>
-          <DialogDescription>Recurring monthly expense, assigned by due date to a paycheck.</DialogDescription>
+          <DialogDescription>Recurring expense, assigned by due date to a paycheck.</DialogDescription>
         </DialogHeader>
         <div className="grid gap-4 py-2">
           <Field label="Name">
             <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Rent" />
           </Field>
           <div className="grid grid-cols-2 gap-3">
-            <Field label="Amount (₱)">
-              <Input type="number" inputMode="decimal" value={amount} onChange={(e) => setAmount(e.target.value)} />
+            {asLoan ? (
+              <Field label="Monthly payment (₱)" hint="From the loan terms below">
+                <Input readOnly value={monthlyPayment(parsedLoan) || ""} />
+              </Field>
+            ) : (
+              <Field label="Amount (₱)">
+                <Input type="number" inputMode="decimal" value={amount} onChange={(e) => setAmount(e.target.value)} />
+              </Field>
+            )}
+            {weekBased ? (
+              <Field label="First due date" hint="Later dates follow the schedule">
+                <Input type="date" value={anchor} onChange={(e) => setAnchor(e.target.value)} />
+              </Field>
+            ) : (
+              <Field label="Due">
+                <Select value={dueRule.type} onValueChange={(v) => setDueRule({ ...dueRule, type: v })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {DUE_RULES.map((r) => (
+                      <SelectItem key={r.id} value={r.id}>{r.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Field>
+            )}
+          </div>
+          {!weekBased && (needsAnchor || dueRule.type !== "lastDay") && (
+            <div className="grid grid-cols-2 gap-3">
+              {needsAnchor && (
+                <Field
+                  label={dueRule.type === "day" ? "First due date" : "A date in the first month due"}
+                  hint="Later months follow the schedule"
+                >
+                  <Input type="date" value={anchor} onChange={(e) => setAnchor(e.target.value)} />
+                </Field>
+              )}
+              {dueRule.type === "day" && !needsAnchor && (
+                <Field label="Due day">
+                  <Input type="number" value={dueDay} onChange={(e) => setDueDay(e.target.value)} min={1} max={31} />
+                </Field>
+              )}
+              {dueRule.type === "nthWeekday" && (
+                <>
+                  <Field label="Which">
+                    <Select value={String(dueRule.n)} onValueChange={(v) => setDueRule({ ...dueRule, n: Number(v) })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {ORDINALS.map((o) => (
+                          <SelectItem key={o.n} value={String(o.n)}>{o.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </Field>
+                  <Field label="Weekday">
+                    <Select value={String(dueRule.weekday)} onValueChange={(v) => setDueRule({ ...dueRule, weekday: Number(v) })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {WEEKDAYS.map((w, i) => (
+                          <SelectItem key={w} value={String(i)}>{w}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </Field>
+                </>
+              )}
+              {dueRule.type === "businessDaysBeforeEnd" && (
+                <Field label="Business days before end" hint="0 = last business day">
+                  <Input
+                    type="number"
+                    min={0}
+                    value={dueRule.n}
+                    onChange={(e) => setDueRule({ ...dueRule, n: Math.max(0, Number(e.target.value) || 0) })}
+                  />
+                </Field>
+              )}
+              {dueRule.type === "afterPayday" && (
+                <>
+                  <Field label="Days after">
+                    <Input
+                      type="number"
+                      min={0}
+                      value={dueRule.n}
+                      onChange={(e) => setDueRule({ ...dueRule, n: Math.max(0, Number(e.target.value) || 0) })}
+                    />
+                  </Field>
+                  <Field label="Payday">
+                    <Select value={String(dueRule.paycheck)} onValueChange={(v) => setDueRule({ ...dueRule, paycheck: Number(v) })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {paydays.map((d, i) => (
+                          <SelectItem key={i} value={String(i + 1)}>
+                            Payday #{i + 1} ({format(d, "MMM d")})
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </Field>
+                </>
+              )}
+            </div>
+          )}
+          {!asLoan && (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                <Field label="Repeats">
+                  <Select value={frequency} onValueChange={setFrequency}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {FREQUENCIES.map((f) => (
+                        <SelectItem key={f.id} value={f.id}>{f.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {frequency === "everyNWeeks" && (
+                  <Field label="Weeks between">
+                    <Input type="number" value={weeks} onChange={(e) => setWeeks(e.target.value)} min={1} />
+                  </Field>
+                )}
+              </div>
+              <div className="grid grid-cols-3 gap-3">
+                <Field label="Starts" hint="Blank = already running">
+                  <Input type="month" value={startMonth} onChange={(e) => setStartMonth(e.target.value)} />
+                </Field>
+                <Field label="Ends">
+                  <Select value={ends} onValueChange={setEnds}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="never">Never</SelectItem>
+                      <SelectItem value="month">In month</SelectItem>
+                      <SelectItem value="payments">After N payments</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {ends === "month" && (
+                  <Field label="Last month">
+                    <Input type="month" value={endMonth} onChange={(e) => setEndMonth(e.target.value)} />
+                  </Field>
+                )}
+                {ends === "payments" && (
+                  <Field label="Payments left" hint="Counted from the start month or now">
+                    <Input type="number" value={payments} onChange={(e) => setPayments(e.target.value)} min={1} />
+                  </Field>
+                )}
+              </div>
+            </>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="Category">
+              <Select value={category} onValueChange={setCategory}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose" />
+                </SelectTrigger>
+                <SelectContent>
+                  {CATEGORIES.map((c) => (
+                    <SelectItem key={c.id} value={c.id}>{c.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
             </Field>
-            <Field label="Due day">
-              <Input type="number" value={dueDay} onChange={(e) => setDueDay(e.target.value)} min={1} max={31} />
+            <Field label="Pay from">
+              <Select value={pin} onValueChange={setPin}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="auto">Auto (by due date)</SelectItem>
+                  <SelectItem value="1">Paycheck #1</SelectItem>
+                  <SelectItem value="2">Paycheck #2</SelectItem>
+                  <SelectItem value="split">Split across #1 and #2</SelectItem>
+                </SelectContent>
+              </Select>
             </Field>
           </div>
-          <Field label="Category">
-            <Select value={category} onValueChange={setCategory}>
+          {category === "debt" && (
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={isLoan} onChange={(e) => setIsLoan(e.target.checked)} />
+              Installment loan (amount and end date from an amortization schedule)
+            </label>
+          )}
+          {category === "debt" && !isLoan && (
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="Current balance (₱)" hint="Optional; for the payoff planner">
+                <Input type="number" value={debtBalance} onChange={(e) => setDebtBalance(e.target.value)} />
+              </Field>
+              <Field label="APR (%)">
+                <Input type="number" value={debtApr} onChange={(e) => setDebtApr(e.target.value)} />
+              </Field>
+            </div>
+          )}
+          {asLoan && (
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="Principal (₱)">
+                <Input type="number" value={loan.principal} onChange={(e) => setLoan({ ...loan, principal: e.target.value })} />
+              </Field>
+              <Field label="Interest rate (% per year)">
+                <Input type="number" value={loan.rate} onChange={(e) => setLoan({ ...loan, rate: e.target.value })} />
+              </Field>
+              <Field label="Rate type">
+                <Select value={loan.method} onValueChange={(v) => setLoan({ ...loan, method: v })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {INTEREST_METHODS.map((m) => (
+                      <SelectItem key={m.id} value={m.id}>{m.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field label="Term (months)">
+                <Input type="number" value={loan.termMonths} min={1} onChange={(e) => setLoan({ ...loan, termMonths: e.target.value })} />
+              </Field>
+              <Field label="First payment month" hint="Blank = this month">
+                <Input type="month" value={loan.startMonth} onChange={(e) => setLoan({ ...loan, startMonth: e.target.value })} />
+              </Field>
+            </div>
+          )}
+          {pin === "split" && (
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="Split by">
+                <Select value={splitMode} onValueChange={setSplitMode}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="percent">Percentage</SelectItem>
+                    <SelectItem value="amount">Fixed amount</SelectItem>
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field
+                label={splitMode === "percent" ? "Paycheck #1 share (%)" : "Paycheck #1 share (₱)"}
+                hint="Paycheck #2 covers the rest"
+              >
+                <Input type="number" value={firstShare} onChange={(e) => setFirstShare(e.target.value)} min={0} />
+              </Field>
+            </div>
+          )}
+        </div>
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={submit}>Save</Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/** Frequency, payday and amount inputs for an additional income source. */
+function SourceScheduleFields({ source, onChange }) {
+  const cycle = source.payFrequency === "weekly" || source.payFrequency === "biweekly";
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      <Field label="Pay frequency">
+        <Select
+          value={source.payFrequency}
+          onValueChange={(v) => onChange({ payFrequency: v, payAnchor: source.payAnchor || dateKey(new Date()) })}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {PAY_FREQUENCIES.map((f) => (
+              <SelectItem key={f.id} value={f.id}>{f.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </Field>
+      {cycle ? (
+        <Field label="A recent payday">
+          <Input type="date" value={source.payAnchor || ""} onChange={(e) => onChange({ payAnchor: e.target.value })} />
+        </Field>
+      ) : (
+        <Field label={source.payFrequency === "monthly" ? "Payday (day)" : "Paydays (days)"}>
+          <div className="flex gap-1">
+            {(source.payFrequency === "monthly" ? [0] : [0, 1]).map((i) => (
+              <Input
+                key={i}
+                type="number"
+                min={1}
+                max={31}
+                value={source.paycheckDays[i]}
+                onChange={(e) => {
+                  const days = [...source.paycheckDays];
+                  days[i] = Number(e.target.value) || 1;
+                  onChange({ paycheckDays: days });
+                }}
+              />
+            ))}
+          </div>
+        </Field>
+      )}
+      <Field label="Net per payday (₱)">
+        <Input type="number" value={source.netPerPaycheck} onChange={(e) => onChange({ netPerPaycheck: Number(e.target.value) || 0 })} />
+      </Field>
+    </div>
+  );
+}
+
+/** Name the primary paycheck and manage other earners' and side income schedules. */
+function IncomeSourcesDialog({ income, onChange }) {
+  const [open, setOpen] = useState(false);
+  const sources = income.sources || [];
+
+  function updateSource(id, part) {
+    onChange({ sources: sources.map((x) => (x.id === id ? { ...x, ...part } : x)) });
+  }
+
+  function addSource() {
+    const source = { id: uid(), name: "", owner: "", payFrequency: "monthly", paycheckDays: [15, 30], netPerPaycheck: 0 };
+    onChange({ sources: [...sources, source] });
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Users className="h-4 w-4 mr-2" /> Income sources ({sources.length + 1})
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[640px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Income sources</DialogTitle>
+          <DialogDescription>
+            Every source's paydays are merged into one timeline, and bills are assigned against all of them.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            <Field label="Primary paycheck" hint="Schedule and amounts are set on the Plan tab">
+              <Input value={income.name || ""} placeholder="Salary" onChange={(e) => onChange({ name: e.target.value })} />
+            </Field>
+            <Field label="Earner">
+              <Input value={income.owner || ""} placeholder="optional" onChange={(e) => onChange({ owner: e.target.value })} />
+            </Field>
+          </div>
+          {sources.map((x) => (
+            <div key={x.id} className="rounded-xl border p-3 space-y-2">
+              <div className="grid grid-cols-[1fr_1fr_auto] gap-2 items-end">
+                <Field label="Source">
+                  <Input value={x.name} placeholder="e.g., Freelance" onChange={(e) => updateSource(x.id, { name: e.target.value })} />
+                </Field>
+                <Field label="Earner">
+                  <Input value={x.owner} placeholder="optional" onChange={(e) => updateSource(x.id, { owner: e.target.value })} />
+                </Field>
+                <Button variant="ghost" size="icon" onClick={() => onChange({ sources: sources.filter((y) => y.id !== x.id) })}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <SourceScheduleFields source={x} onChange={(part) => updateSource(x.id, part)} />
+            </div>
+          ))}
+          <Button variant="outline" onClick={addSource}>
+            <Plus className="h-4 w-4 mr-2" /> Add source
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/** Log bonuses, 13th-month pay and one-off payouts on the date they arrive. */
+function IncomeEventsDialog({ income, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [amount, setAmount] = useState("");
+  const [date, setDate] = useState("");
+  const [sourceId, setSourceId] = useState("primary");
+  const [repeat, setRepeat] = useState("once");
+  const events = income.events || [];
+  const sources = incomeSources(income);
+  const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date));
+
+  function submit() {
+    const n = name.trim();
+    const a = Number(amount);
+    if (!n || !Number.isFinite(a) || a <= 0 || !parseDate(date)) return;
+    onChange({ events: [...events, { id: uid(), name: n, amount: a, date, sourceId, repeat }] });
+    setName("");
+    setAmount("");
+    setDate("");
+    setRepeat("once");
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Gift className="h-4 w-4 mr-2" /> Extras
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[600px]">
+        <DialogHeader>
+          <DialogTitle>Bonuses and extra income</DialogTitle>
+          <DialogDescription>Each one is added to the paycheck whose pay period it arrives in.</DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2 items-end">
+          <Field label="Name">
+            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., 13th month" />
+          </Field>
+          <Field label="Amount (₱)">
+            <Input type="number" value={amount} onChange={(e) => setAmount(e.target.value)} />
+          </Field>
+          <Field label="Arrives on">
+            <Input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+          </Field>
+          <Field label="Source">
+            <Select value={sourceId} onValueChange={setSourceId}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {sources.map((x) => (
+                  <SelectItem key={x.id} value={x.id}>
+                    {x.name || "Unnamed"}
+                    {x.owner && ` (${x.owner})`}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </Field>
+          <Field label="Repeats">
+            <Select value={repeat} onValueChange={setRepeat}>
               <SelectTrigger>
-                <SelectValue placeholder="Choose" />
+                <SelectValue />
               </SelectTrigger>
               <SelectContent>
-                {CATEGORIES.map((c) => (
-                  <SelectItem key={c.id} value={c.id}>{c.label}</SelectItem>
+                {EVENT_REPEATS.map((r) => (
+                  <SelectItem key={r.id} value={r.id}>{r.label}</SelectItem>
                 ))}
               </SelectContent>
             </Select>
           </Field>
+          <Button onClick={submit}>Add</Button>
+        </div>
+        <div className="max-h-72 overflow-y-auto">
+          <Table>
+            <TableBody>
+              {sorted.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-sm text-muted-foreground">
+                    No extras logged yet.
+                  </TableCell>
+                </TableRow>
+              )}
+              {sorted.map((ev) => (
+                <TableRow key={ev.id}>
+                  <TableCell>{format(parseISO(ev.date), "PP")}</TableCell>
+                  <TableCell className="font-medium">
+                    {ev.name}
+                    <div className="text-xs font-normal text-muted-foreground">
+                      {sources.find((x) => x.id === ev.sourceId)?.name || "Removed source"}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-xs text-muted-foreground">{EVENT_REPEATS.find((r) => r.id === ev.repeat)?.label}</TableCell>
+                  <TableCell className="text-right">{currency(ev.amount)}</TableCell>
+                  <TableCell className="text-right">
+                    <Button variant="ghost" size="icon" onClick={() => onChange({ events: events.filter((x) => x.id !== ev.id) })}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function PaycheckNetsEditor({ income, count, year, monthIndex, onChange }) {
+  const key = monthKey(new Date(year, monthIndex, 1));
+  const overrides = income.monthOverrides?.[key] || [];
+  const slots = Array.from({ length: count }, (_, i) => i);
+
+  // Blank input clears the entry so the next fallback applies
+  function setAt(list, i, raw) {
+    const next = Array.from({ length: Math.max(list.length, i + 1) }, (_, j) => list[j] ?? null);
+    next[i] = raw === "" ? null : Number(raw) || 0;
+    return next;
+  }
+
+  function setOverride(i, raw) {
+    const next = setAt(overrides, i, raw);
+    const all = { ...income.monthOverrides };
+    if (next.every((v) => v === null)) delete all[key];
+    else all[key] = next;
+    onChange({ monthOverrides: all });
+  }
+
+  return (
+    <div className="grid gap-3">
+      <Field label="Net per payday (₱)" hint="Blank uses net per paycheck">
+        <div className="grid grid-cols-2 gap-2">
+          {slots.map((i) => (
+            <Input
+              key={i}
+              type="number"
+              aria-label={`Payday #${i + 1} net`}
+              placeholder={`#${i + 1}: ${income.netPerPaycheck}`}
+              value={income.paycheckNets?.[i] ?? ""}
+              onChange={(e) => onChange({ paycheckNets: setAt(income.paycheckNets || [], i, e.target.value) })}
+            />
+          ))}
+        </div>
+      </Field>
+      <Field label={`Only in ${format(new Date(year, monthIndex, 1), "MMMM yyyy")} (₱)`} hint="e.g., 13th-month pay">
+        <div className="grid grid-cols-2 gap-2">
+          {slots.map((i) => (
+            <Input
+              key={i}
+              type="number"
+              aria-label={`Payday #${i + 1} net override`}
+              placeholder={`#${i + 1}: ${paycheckNet({ ...income, monthOverrides: undefined }, i, year, monthIndex)}`}
+              value={overrides[i] ?? ""}
+              onChange={(e) => setOverride(i, e.target.value)}
+            />
+          ))}
+        </div>
+      </Field>
+    </div>
+  );
+}
+
+const CUTOFF_SPLITS = [
+  { id: "first", label: "1st cutoff" },
+  { id: "second", label: "2nd cutoff" },
+  { id: "even", label: "Split evenly" },
+];
+
+function PercentInput({ value, onChange, ...props }) {
+  return (
+    <Input
+      type="number"
+      step="0.01"
+      value={Math.round(value * 10000) / 100}
+      onChange={(e) => onChange((Number(e.target.value) || 0) / 100)}
+      {...props}
+    />
+  );
+}
+
+function RateTableEditor({ table, onChange }) {
+  const set = (group, part) => onChange({ ...table, [group]: { ...table[group], ...part } });
+  const setBracket = (i, part) => onChange({ ...table, tax: table.tax.map((b, j) => (j === i ? { ...b, ...part } : b)) });
+  const num = (e) => Number(e.target.value) || 0;
+
+  return (
+    <div className="grid gap-3 text-sm">
+      <div className="grid grid-cols-3 gap-2">
+        <Field label="SSS rate (%)"><PercentInput value={table.sss.rate} onChange={(rate) => set("sss", { rate })} /></Field>
+        <Field label="MSC min (₱)"><Input type="number" value={table.sss.mscMin} onChange={(e) => set("sss", { mscMin: num(e) })} /></Field>
+        <Field label="MSC max (₱)"><Input type="number" value={table.sss.mscMax} onChange={(e) => set("sss", { mscMax: num(e) })} /></Field>
+        <Field label="PhilHealth rate (%)"><PercentInput value={table.philhealth.rate} onChange={(rate) => set("philhealth", { rate })} /></Field>
+        <Field label="Floor (₱)"><Input type="number" value={table.philhealth.floor} onChange={(e) => set("philhealth", { floor: num(e) })} /></Field>
+        <Field label="Ceiling (₱)"><Input type="number" value={table.philhealth.ceiling} onChange={(e) => set("philhealth", { ceiling: num(e) })} /></Field>
+        <Field label="Pag-IBIG rate (%)"><PercentInput value={table.pagibig.rate} onChange={(rate) => set("pagibig", { rate })} /></Field>
+        <Field label="Max fund salary (₱)"><Input type="number" value={table.pagibig.maxSalary} onChange={(e) => set("pagibig", { maxSalary: num(e) })} /></Field>
+      </div>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Annual income over (₱)</TableHead>
+            <TableHead>Base tax (₱)</TableHead>
+            <TableHead>Rate on excess (%)</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {table.tax.map((b, i) => (
+            <TableRow key={i}>
+              <TableCell><Input type="number" value={b.over} onChange={(e) => setBracket(i, { over: num(e) })} /></TableCell>
+              <TableCell><Input type="number" value={b.base} onChange={(e) => setBracket(i, { base: num(e) })} /></TableCell>
+              <TableCell><PercentInput value={b.rate} onChange={(rate) => setBracket(i, { rate })} /></TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
+
+function PayrollCalculatorDialog({ payroll, onChange, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [editing, setEditing] = useState(false);
+
+  const tables = [...payroll.tables, ...RATE_TABLES];
+  const table = tables.find((t) => t.id === payroll.tableId) || RATE_TABLES[0];
+  const monthly = computePayroll(payroll.gross, table);
+  const cutoffs = splitCutoffs(monthly, payroll.split);
+
+  // Built-in tables stay pristine; the first edit saves a custom copy
+  function editTable(next) {
+    if (table.custom) {
+      onChange({ tables: payroll.tables.map((t) => (t.id === table.id ? next : t)) });
+    } else {
+      const copy = { ...next, id: uid(), label: `${table.label} (edited)`, custom: true };
+      onChange({ tables: [copy, ...payroll.tables], tableId: copy.id });
+    }
+  }
+
+  function deleteTable() {
+    onChange({ tables: payroll.tables.filter((t) => t.id !== table.id), tableId: RATE_TABLES[0].id });
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Calculator className="h-4 w-4 mr-2" /> Gross-to-net calculator
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[640px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Gross-to-net calculator</DialogTitle>
+          <DialogDescription>SSS, PhilHealth, Pag-IBIG and BIR withholding on a monthly salary.</DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Monthly gross (₱)">
+            <Input type="number" value={payroll.gross} onChange={(e) => onChange({ gross: Number(e.target.value) || 0 })} />
+          </Field>
+          <Field label="Rate table">
+            <Select value={table.id} onValueChange={(v) => onChange({ tableId: v })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {tables.map((t) => (
+                  <SelectItem key={t.id} value={t.id}>{t.label} (from {t.effective})</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </Field>
+        </div>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Deduction</TableHead>
+              <TableHead className="text-right">Monthly</TableHead>
+              <TableHead className="text-right">1st cutoff</TableHead>
+              <TableHead className="text-right">2nd cutoff</TableHead>
+              <TableHead>Deducted on</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            <TableRow>
+              <TableCell className="font-medium">Gross</TableCell>
+              <TableCell className="text-right">{currency(monthly.gross)}</TableCell>
+              <TableCell className="text-right">{currency(cutoffs[0].gross)}</TableCell>
+              <TableCell className="text-right">{currency(cutoffs[1].gross)}</TableCell>
+              <TableCell />
+            </TableRow>
+            {DEDUCTIONS.map((d) => (
+              <TableRow key={d.id}>
+                <TableCell>{d.label}</TableCell>
+                <TableCell className="text-right">{currency(monthly[d.id])}</TableCell>
+                <TableCell className="text-right">{currency(cutoffs[0][d.id])}</TableCell>
+                <TableCell className="text-right">{currency(cutoffs[1][d.id])}</TableCell>
+                <TableCell>
+                  <Select
+                    value={payroll.split[d.id] || "even"}
+                    onValueChange={(v) => onChange({ split: { ...payroll.split, [d.id]: v } })}
+                  >
+                    <SelectTrigger className="h-8">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {CUTOFF_SPLITS.map((c) => (
+                        <SelectItem key={c.id} value={c.id}>{c.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell className="font-semibold">Net</TableCell>
+              <TableCell className="text-right font-semibold">{currency(monthly.net)}</TableCell>
+              <TableCell className="text-right font-semibold">{currency(cutoffs[0].net)}</TableCell>
+              <TableCell className="text-right font-semibold">{currency(cutoffs[1].net)}</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableBody>
+        </Table>
+        {editing && <RateTableEditor table={table} onChange={editTable} />}
+        <div className="flex justify-between gap-2">
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={() => setEditing((v) => !v)}>{editing ? "Hide rates" : "Edit rates"}</Button>
+            {table.custom && (
+              <Button variant="ghost" onClick={deleteTable}>
+                <Trash2 className="h-4 w-4 mr-2" /> Delete table
+              </Button>
+            )}
+          </div>
+          <Button
+            disabled={monthly.gross <= 0}
+            onClick={() => {
+              onApply(cutoffs.map((c) => c.net));
+              setOpen(false);
+            }}
+          >
+            Use as payday #1 / #2 nets
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function HolidaysDialog({ holidays, settings, year, onAdd, onDelete, onSettingsChange }) {
+  const [open, setOpen] = useState(false);
+  const [date, setDate] = useState("");
+  const [name, setName] = useState("");
+
+  const sorted = useMemo(() => [...holidays].sort((a, b) => a.date.localeCompare(b.date)), [holidays]);
+  const bundled = settings.usePhHolidays ? phHolidays(year) : [];
+
+  function submit() {
+    const n = name.trim();
+    if (!parseDate(date) || !n) return;
+    onAdd({ id: uid(), date, name: n });
+    setDate("");
+    setName("");
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <CalendarOff className="h-4 w-4 mr-2" /> Holidays
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[520px]">
+        <DialogHeader>
+          <DialogTitle>Holidays</DialogTitle>
+          <DialogDescription>Non-business days used when shifting paydays and due dates.</DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-3 items-end">
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={settings.usePhHolidays}
+              onChange={(e) => onSettingsChange({ usePhHolidays: e.target.checked })}
+            />
+            Include Philippine holidays
+          </label>
+          <Field label="Bills due on a weekend or holiday">
+            <Select value={settings.dueDateAdjust} onValueChange={(v) => onSettingsChange({ dueDateAdjust: v })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {PAYDAY_ADJUSTMENTS.map((a) => (
+                  <SelectItem key={a.id} value={a.id}>{a.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </Field>
+        </div>
+        <div className="grid grid-cols-[auto_1fr_auto] gap-2 items-end">
+          <Field label="Date">
+            <Input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+          </Field>
+          <Field label="Name">
+            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Independence Day" />
+          </Field>
+          <Button onClick={submit}>Add</Button>
+        </div>
+        <div className="max-h-72 overflow-y-auto">
+          <Table>
+            <TableBody>
+              {sorted.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={3} className="text-center text-sm text-muted-foreground">
+                    No custom holidays yet.
+                  </TableCell>
+                </TableRow>
+              )}
+              {sorted.map((h) => (
+                <TableRow key={h.id}>
+                  <TableCell>{format(parseISO(h.date), "PP")}</TableCell>
+                  <TableCell className="font-medium">{h.name}</TableCell>
+                  <TableCell className="text-right">
+                    <Button variant="ghost" size="icon" onClick={() => onDelete(h.id)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {bundled.map((h) => (
+                <TableRow key={h.date + h.name}>
+                  <TableCell>{format(parseISO(h.date), "PP")}</TableCell>
+                  <TableCell>
+                    {h.name}
+                    {h.estimated && <span className="text-xs text-muted-foreground"> (estimated)</span>}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Badge variant="outline" className="rounded-full">{h.type === "regular" ? "PH regular" : "PH special"}</Badge>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/** Pick a bank, load its CSV statement, map columns and import the viewed month's rows. */
+function CsvImportDialog({ mappings, month, onImport }) {
+  const [open, setOpen] = useState(false);
+  const [bank, setBank] = useState(BANK_PRESETS[0]);
+  const [file, setFile] = useState(null); // { name, bytes }
+  const [mapping, setMapping] = useState(null);
+
+  const text = useMemo(() => (file && mapping ? decodeBytes(file.bytes, mapping.encoding).text : ""), [file, mapping]);
+  const rows = useMemo(() => (mapping ? parseCsv(text, mapping.delimiter) : []), [text, mapping]);
+  const mapped = useMemo(() => (mapping ? mapRows(rows, mapping) : []), [rows, mapping]);
+  const inMonth = mapped.filter((r) => r.row?.date.startsWith(month)).map((r) => r.row);
+  const otherMonths = mapped.filter((r) => r.row && !r.row.date.startsWith(month)).length;
+  const skipped = mapped.filter((r) => r.error).length;
+
+  const headerRow = mapping ? rows[mapping.skipRows] || [] : [];
+  const width = Math.max(0, ...rows.slice(0, 20).map((r) => r.length));
+  const columns = Array.from({ length: width }, (_, i) => ({
+    id: String(i),
+    label: mapping?.hasHeader && headerRow[i]?.trim() ? headerRow[i].trim() : `Column ${i + 1}`,
+  }));
+
+  function reset(next) {
+    setOpen(next);
+    if (!next) {
+      setFile(null);
+      setMapping(null);
+    }
+  }
+
+  function onFile(e) {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const bytes = reader.result;
+      const saved = mappings[bank.trim()];
+      if (saved) {
+        setMapping(saved);
+      } else {
+        const { text: decoded, encoding } = decodeBytes(bytes);
+        const delimiter = detectDelimiter(decoded);
+        setMapping(guessMapping(parseCsv(decoded, delimiter), encoding, delimiter));
+      }
+      setFile({ name: f.name, bytes });
+    };
+    reader.readAsArrayBuffer(f);
+  }
+
+  function update(part) {
+    setMapping((m) => ({ ...m, ...part }));
+  }
+
+  function save() {
+    onImport(bank.trim(), mapping, inMonth);
+    reset(false);
+  }
+
+  const columnSelect = (key) => (
+    <Select value={String(mapping[key])} onValueChange={(v) => update({ [key]: Number(v) })}>
+      <SelectTrigger>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {columns.map((c) => (
+          <SelectItem key={c.id} value={c.id}>{c.label}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={reset}>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <Upload className="h-4 w-4 mr-2" /> Import CSV
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[760px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import bank statement</DialogTitle>
+          <DialogDescription>
+            Rows dated in {format(parseISO(`${month}-01`), "LLLL yyyy")} are added as transactions. Column mappings are remembered per bank.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Bank" hint={mappings[bank.trim()] ? "Using the saved mapping" : undefined}>
+            <Input list="bank-presets" value={bank} disabled={!!file} onChange={(e) => setBank(e.target.value)} />
+            <datalist id="bank-presets">
+              {[...new Set([...BANK_PRESETS, ...Object.keys(mappings)])].map((b) => (
+                <option key={b} value={b} />
+              ))}
+            </datalist>
+          </Field>
+          <Field label="Statement (.csv)" hint={file?.name}>
+            <Input type="file" accept=".csv,text/csv" disabled={!bank.trim()} onChange={onFile} />
+          </Field>
         </div>
+
+        {mapping && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <Field label="Encoding">
+                <Select value={mapping.encoding} onValueChange={(v) => update({ encoding: v })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ENCODINGS.map((enc) => (
+                      <SelectItem key={enc} value={enc}>{enc}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field label="Delimiter">
+                <Select value={mapping.delimiter} onValueChange={(v) => update({ delimiter: v })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {DELIMITERS.map((d) => (
+                      <SelectItem key={d.label} value={d.id}>{d.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field label="Skip lines before header">
+                <Input type="number" min={0} value={mapping.skipRows} onChange={(e) => update({ skipRows: Math.max(0, Number(e.target.value) || 0) })} />
+              </Field>
+              <label className="flex items-center gap-2 text-sm self-end pb-2">
+                <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => update({ hasHeader: e.target.checked })} />
+                First row is a header
+              </label>
+              <Field label="Date column">{columnSelect("dateCol")}</Field>
+              <Field label="Date format">
+                <Select value={mapping.dateFormat} onValueChange={(v) => update({ dateFormat: v })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {DATE_FORMATS.map((f) => (
+                      <SelectItem key={f} value={f}>{f}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </Field>
+              <Field label="Description column">{columnSelect("descCol")}</Field>
+              <Field label="Amounts">
+                <Select value={mapping.amountMode} onValueChange={(v) => update({ amountMode: v })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="single">One signed column</SelectItem>
+                    <SelectItem value="debitCredit">Debit and credit columns</SelectItem>
+                  </SelectContent>
+                </Select>
+              </Field>
+              {mapping.amountMode === "single" ? (
+                <>
+                  <Field label="Amount column">{columnSelect("amountCol")}</Field>
+                  <label className="flex items-center gap-2 text-sm self-end pb-2">
+                    <input type="checkbox" checked={mapping.negate} onChange={(e) => update({ negate: e.target.checked })} />
+                    Spending shows as positive
+                  </label>
+                </>
+              ) : (
+                <>
+                  <Field label="Debit column">{columnSelect("debitCol")}</Field>
+                  <Field label="Credit column">{columnSelect("creditCol")}</Field>
+                </>
+              )}
+            </div>
+
+            <div className="text-sm text-muted-foreground">
+              {inMonth.length} row{inMonth.length === 1 ? "" : "s"} to import
+              {otherMonths > 0 && `, ${otherMonths} in other months`}
+              {skipped > 0 && `, ${skipped} skipped`}
+            </div>
+            <div className="max-h-64 overflow-auto rounded-xl border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {mapped.slice(0, 50).map((r, i) =>
+                    r.row ? (
+                      <TableRow key={i} className={r.row.date.startsWith(month) ? "" : "opacity-50"}>
+                        <TableCell className="whitespace-nowrap">{format(parseISO(r.row.date), "MMM d, yyyy")}</TableCell>
+                        <TableCell>{r.row.description}</TableCell>
+                        <TableCell className={`text-right ${r.row.amount < 0 ? "text-rose-600 dark:text-rose-400" : ""}`}>{currency(r.row.amount)}</TableCell>
+                      </TableRow>
+                    ) : (
+                      <TableRow key={i} className="opacity-50">
+                        <TableCell colSpan={2} className="text-xs truncate max-w-0">{r.cells.join(" · ")}</TableCell>
+                        <TableCell className="text-right text-xs">{r.error}</TableCell>
+                      </TableRow>
+                    )
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </>
+        )}
+
         <div className="flex justify-end gap-2">
-          <Button variant="ghost" onClick={() => setOpen(false)}>Cancel</Button>
-          <Button onClick={submit}>Save</Button>
+          <Button variant="ghost" onClick={() => reset(false)}>Cancel</Button>
+          <Button onClick={save} disabled={!inMonth.length}>Import {inMonth.length || ""}</Button>
         </div>
       </DialogContent>
     </Dialog>
   );
 }
 
-function ImportExport({ state, setState }) {
+function ImportExport({ state, setState, month }) {
+  function onCsvImport(bank, mapping, rows) {
+    const added = rows.map((r) => ({ id: uid(), ...r, account: bank, source: "csv" }));
+    setState((s) => ({
+      ...s,
+      transactions: [...s.transactions, ...added],
+      bankMappings: { ...s.bankMappings, [bank]: mapping },
+    }));
+  }
+
   function onExport() {
     const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
@@ -308,33 +3063,72 @@ function ImportExport({ state, setState }) {
     URL.revokeObjectURL(url);
   }
 
+  // OFX/QFX statements add transactions; anything else must be an exported budget
   function onImport(e) {
     const file = e.target.files?.[0];
     if (!file) return;
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const parsed = JSON.parse(String(reader.result));
+        const { text } = decodeBytes(reader.result);
+        if (isOfx(text)) {
+          onOfxImport(parseOfx(text));
+          return;
+        }
+        const parsed = JSON.parse(text);
         if (!parsed || !parsed.income || !Array.isArray(parsed.expenses)) throw new Error("Invalid file");
-        setState(parsed);
+        setState(withDefaults(parsed));
       } catch (err) {
         alert("Import failed: " + (err?.message || "Invalid file"));
+      } finally {
+        e.target.value = "";
       }
     };
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
+  }
+
+  function onOfxImport(parsed) {
+    // Counted, so two identical purchases without a FITID both import once
+    const seen = new Map();
+    for (const t of state.transactions) {
+      if (t.source !== "ofx") continue;
+      const key = ofxKey({ ...t, payee: t.description });
+      seen.set(key, (seen.get(key) || 0) + 1);
+    }
+    const added = [];
+    for (const t of parsed) {
+      const key = ofxKey(t);
+      if (seen.get(key) > 0) {
+        seen.set(key, seen.get(key) - 1);
+        continue;
+      }
+      if (t.fitId) seen.set(key, 1); // a FITID repeated within the file is the same transaction
+      added.push({
+        id: uid(),
+        date: t.date,
+        description: t.payee,
+        amount: t.amount,
+        account: t.account,
+        source: "ofx",
+        fitId: t.fitId || undefined,
+        memo: t.memo || undefined,
+      });
+    }
+    setState((s) => ({ ...s, transactions: [...s.transactions, ...added] }));
+    alert(`Imported ${added.length} transaction${added.length === 1 ? "" : "s"}${parsed.length > added.length ? `; ${parsed.length - added.length} already imported` : ""}.`);
   }
 
   return (
     <div className="flex gap-2 items-center">
+      <CsvImportDialog mappings={state.bankMappings} month={month} onImport={onCsvImport} />
       <Button variant="outline" onClick={onExport}>
         <Download className="h-4 w-4 mr-2" /> Export JSON
       </Button>
-      <Label htmlFor="import-file" className="sr-only">Import JSON</Label>
-      <Input id="import-file" type="file" accept="application/json" className="w-52" onChange={onImport} />
+      <Label htmlFor="import-file" className="sr-only">Import JSON, OFX or QFX</Label>
+      <Input id="import-file" type="file" accept="application/json,.json,.ofx,.qfx" className="w-52" onChange={onImport} title="Import a budget (JSON) or a bank statement (OFX/QFX)" />
       <Button variant="ghost" onClick={() => {
         if (confirm("Reset all data?")) {
-          const fresh = loadState();
-          setState({ ...fresh, expenses: [] });
+          setState({ ...defaultState(), expenses: [] });
         }
       }}>
         <RotateCcw className="h-4 w-4 mr-2" /> Reset
@@ -343,15 +3137,71 @@ function ImportExport({ state, setState }) {
   );
 }
 
-function DistributionChart({ paycheckTotals }) {
+function CashFlowTooltip({ active, payload, year, monthIndex }) {
+  if (!active || !payload?.length) return null;
+  const { day, balance, events } = payload[0].payload;
+  return (
+    <div className="rounded-lg border bg-background p-2 text-xs shadow">
+      <div className="font-medium">{format(new Date(year, monthIndex, day), "PP")}: {currency(balance)}</div>
+      {events.map((ev, i) => (
+        <div key={i} className={ev.amount < 0 ? "text-rose-600 dark:text-rose-400" : "text-emerald-600 dark:text-emerald-400"}>
+          {ev.amount < 0 ? "−" : "+"}{currency(Math.abs(ev.amount))} {ev.label}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/** Projected cash on hand per day, stepping on paydays and due dates. */
+function CashFlowChart({ data, cushion, year, monthIndex }) {
+  const lowest = data.reduce((lo, d) => (d.balance < lo.balance ? d : lo), data[0]);
+  const below = data.filter((d) => d.balance < cushion);
+
+  return (
+    <div className="space-y-2">
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="day" />
+            <YAxis tickFormatter={(v) => currency(v)} width={90} />
+            <Tooltip content={<CashFlowTooltip year={year} monthIndex={monthIndex} />} />
+            <ReferenceLine y={cushion} stroke="#e11d48" strokeDasharray="4 4" label={{ value: "Cushion", position: "insideTopLeft", fontSize: 11 }} />
+            <Line
+              type="stepAfter"
+              dataKey="balance"
+              stroke="#4f46e5"
+              strokeWidth={2}
+              dot={({ cx, cy, payload }) => (
+                <circle key={payload.day} cx={cx} cy={cy} r={payload.balance < cushion ? 3 : 0} fill="#e11d48" />
+              )}
+            />
+            {lowest && <ReferenceDot x={lowest.day} y={lowest.balance} r={5} fill="#e11d48" stroke="white" />}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      {lowest && (
+        <div className="text-sm">
+          Lowest point: <span className="font-medium">{currency(lowest.balance)}</span> on {format(new Date(year, monthIndex, lowest.day), "PP")}
+        </div>
+      )}
+      {below.length > 0 && (
+        <div className="text-sm text-rose-600 dark:text-rose-400">
+          Below the {currency(cushion)} cushion on {below.length} day{below.length === 1 ? "" : "s"}, starting {format(new Date(year, monthIndex, below[0].day), "MMM d")}.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DistributionChart({ paychecks }) {
   const data = useMemo(() => {
-    return [
-      { name: "P1 Bills", value: paycheckTotals.p1Expenses },
-      { name: "P1 Leftover", value: Math.max(0, paycheckTotals.p1Income - paycheckTotals.p1Expenses) },
-      { name: "P2 Bills", value: paycheckTotals.p2Expenses },
-      { name: "P2 Leftover", value: Math.max(0, paycheckTotals.p2Income - paycheckTotals.p2Expenses) },
-    ];
-  }, [paycheckTotals]);
+    return paychecks.flatMap((p) => [
+      { name: `P${p.index} Bills`, value: p.total },
+      ...(p.envelopes > 0 ? [{ name: `P${p.index} Envelopes`, value: p.envelopes }] : []),
+      { name: `P${p.index} Leftover`, value: Math.max(0, p.income - p.total - p.envelopes) },
+    ]);
+  }, [paychecks]);
 
   return (
     <div className="h-72">
@@ -373,7 +3223,7 @@ function DistributionChart({ paycheckTotals }) {
 export default function SemiMonthlyBudgetApp() {
   const [now] = useState(new Date());
   const [state, setState] = useState(loadState);
-  const { expenses, income } = state;
+  const { expenses, income, settings } = state;
 
   useEffect(() => saveState(state), [state]);
 
@@ -381,34 +3231,147 @@ export default function SemiMonthlyBudgetApp() {
   const [year, setYear] = useState(now.getFullYear());
   const [monthIndex, setMonthIndex] = useState(now.getMonth());
 
+  const dim = getDaysInMonth(new Date(year, monthIndex, 1));
+  const days = useMemo(() => Array.from({ length: dim }, (_, i) => i + 1), [dim]);
+
   // Computations
-  const paycheckDaysClamped = useMemo(() => {
-    return [
-      clampDay(income.paycheckDays[0], year, monthIndex),
-      clampDay(income.paycheckDays[1], year, monthIndex),
-    ];
-  }, [income.paycheckDays, year, monthIndex]);
+  const holidayMap = useMemo(() => {
+    return holidayCalendar(state.holidays, settings.usePhHolidays, year);
+  }, [state.holidays, settings.usePhHolidays, year]);
+
+  const timeline = useMemo(() => {
+    return paydayTimeline(income, holidayMap, year, monthIndex);
+  }, [income, holidayMap, year, monthIndex]);
+
+  const paydays = useMemo(() => timeline.map((t) => t.date), [timeline]);
+
+  const incomes = useMemo(() => {
+    return paycheckIncomes(income, timeline);
+  }, [timeline, income]);
+
+  const fundLines = useMemo(() => sinkingLines(state, paydays), [state, paydays]);
 
   const assigned = useMemo(() => {
-    return expenses.map((e) => ({
-      ...e,
-      paycheck: assignToPaycheck(e.dueDay, paycheckDaysClamped[0], paycheckDaysClamped[1], year, monthIndex),
-    }));
-  }, [expenses, paycheckDaysClamped, year, monthIndex]);
-
-  const p1Items = assigned.filter((e) => e.paycheck === 1);
-  const p2Items = assigned.filter((e) => e.paycheck === 2);
-  const p1Total = p1Items.reduce((s, e) => s + e.amount, 0);
-  const p2Total = p2Items.reduce((s, e) => s + e.amount, 0);
-  const p1Income = income.netPerPaycheck + (income.extras > 0 ? income.extras / 2 : 0);
-  const p2Income = income.netPerPaycheck + (income.extras > 0 ? income.extras / 2 : 0);
-
-  const paycheckTotals = {
-    p1Income,
-    p2Income,
-    p1Expenses: p1Total,
-    p2Expenses: p2Total,
-  };
+    return [...monthBills(expenses, state.envelopes, timeline, incomes, settings, holidayMap, year, monthIndex), ...fundLines];
+  }, [expenses, state.envelopes, timeline, incomes, settings, holidayMap, year, monthIndex, fundLines]);
+
+  const viewKey = monthKey(new Date(year, monthIndex, 1));
+  const monthLedger = state.ledger[viewKey];
+
+  const reserve = useMemo(() => {
+    return envelopeReserve(state.envelopes, state.envelopeCovers, viewKey, timeline);
+  }, [state.envelopes, state.envelopeCovers, viewKey, timeline]);
+
+  const paychecks = useMemo(() => {
+    return buildPaychecks(timeline, assigned, incomes, monthLedger, reserve);
+  }, [timeline, assigned, incomes, monthLedger, reserve]);
+
+  const slots = useMemo(() => primarySlots(timeline), [timeline]);
+
+  const envelopeRows = useMemo(() => {
+    return envelopePeriods(state.envelopes, state.envelopeSpending, state.envelopeCovers, viewKey, slots.length);
+  }, [state.envelopes, state.envelopeSpending, state.envelopeCovers, viewKey, slots.length]);
+
+  // Only the parts of the state a month's plan reads, so unrelated edits skip the projection
+  const planState = useMemo(
+    () => ({
+      income: state.income,
+      holidays: state.holidays,
+      settings: state.settings,
+      expenses: state.expenses,
+      ledger: state.ledger,
+      envelopes: state.envelopes,
+      envelopeCovers: state.envelopeCovers,
+      sinkingFunds: state.sinkingFunds,
+    }),
+    [state.income, state.holidays, state.settings, state.expenses, state.ledger, state.envelopes, state.envelopeCovers, state.sinkingFunds]
+  );
+  const planCache = useRef(new Map());
+
+  // With carryover on: every paycheck from the opening month to a year past the viewed month
+  const balances = useMemo(() => {
+    if (!planState.settings.carryover) return [];
+    const plan = (s, y, m) => cachedPlanMonth(planCache.current, s, y, m);
+    return projectBalances(planState, addMonths(viewKey, 11), plan);
+  }, [planState, viewKey]);
+  const projection = balances.filter((r) => r.month >= viewKey);
+  const firstNegative = balances.find((r) => r.balance < 0);
+  const monthTransactions = useMemo(() => {
+    return state.transactions.filter((t) => t.date.startsWith(viewKey)).sort((a, b) => a.date.localeCompare(b.date));
+  }, [state.transactions, viewKey]);
+
+  // Unpaid bill occurrences this month, once each (split shares folded back together)
+  const openBills = useMemo(() => {
+    const byId = new Map();
+    for (const e of assigned) {
+      if (monthLedger?.[e.occurrenceId] || byId.has(e.occurrenceId)) continue;
+      byId.set(e.occurrenceId, { occurrenceId: e.occurrenceId, name: e.name, dueDate: e.dueDate, amount: e.splitPart?.total ?? e.amount });
+    }
+    return [...byId.values()];
+  }, [assigned, monthLedger]);
+
+  // transactionId → bill name for transactions already reconciled
+  const linkedTransactions = useMemo(() => {
+    const names = new Map(assigned.map((e) => [e.occurrenceId, e.name]));
+    const linked = new Map();
+    for (const month of Object.values(state.ledger)) {
+      for (const [occurrenceId, entry] of Object.entries(month)) {
+        if (entry.transactionId) linked.set(entry.transactionId, names.get(occurrenceId) || "another month");
+      }
+    }
+    return linked;
+  }, [state.ledger, assigned]);
+
+  const suggestions = useMemo(() => {
+    const opts = { ...DEFAULT_MATCH_OPTIONS, amountTolerance: settings.matchAmountTolerance, dateWindow: settings.matchDateWindow };
+    const candidates = state.transactions.filter((t) => !linkedTransactions.has(t.id));
+    return matchTransactions(candidates, openBills, opts, new Set(state.rejectedMatches));
+  }, [state.transactions, state.rejectedMatches, linkedTransactions, openBills, settings.matchAmountTolerance, settings.matchDateWindow]);
+
+  const showContributions = (income.sources || []).length > 0 || (income.events || []).length > 0;
+
+  const monthOpening = projection.find((r) => r.month === viewKey)?.carriedIn ?? 0;
+
+  // Cash on hand at the end of each day; paydays and due dates shifted
+  // outside the month are counted on its first or last day
+  const cashFlow = useMemo(() => {
+    const events = days.map(() => []);
+    const viewed = year * 12 + monthIndex;
+    const dayIndex = (d) => {
+      const m = d.getFullYear() * 12 + d.getMonth();
+      return m < viewed ? 0 : m > viewed ? days.length - 1 : d.getDate() - 1;
+    };
+    paydays.forEach((d, i) => {
+      // Income events land on the day they arrive, not on their paycheck's payday
+      const arrivals = timeline[i].contributions.filter((c) => c.event);
+      events[dayIndex(d)].push({ label: `Payday #${i + 1}`, amount: incomes[i] - sumAmounts(arrivals) });
+      for (const c of arrivals) events[dayIndex(c.date)].push({ label: c.name, amount: c.amount });
+      if (reserve[i] > 0) events[dayIndex(d)].push({ label: `Envelopes #${i + 1}`, amount: -reserve[i] });
+    });
+    for (const e of assigned) {
+      events[dayIndex(e.dueDate)].push({ label: e.name, amount: -actualAmount(e, monthLedger?.[e.occurrenceId]) });
+    }
+    let balance = monthOpening;
+    return days.map((day, i) => {
+      balance += events[i].reduce((s, ev) => s + ev.amount, 0);
+      return { day, balance, events: events[i] };
+    });
+  }, [days, paydays, timeline, incomes, reserve, assigned, monthLedger, monthOpening, year, monthIndex]);
+
+  // Expenses tab rows show the amount in effect for the viewed month
+  const expenseRows = useMemo(() => {
+    return expenses.map((e) => {
+      const row = e.loan ? { ...e } : { ...e, baseAmount: e.amount, amount: scheduledAmount(e, viewKey), nextChange: nextAmountChange(e, viewKey) };
+      row.envelope = envelopeFor(e, state.envelopes)?.name;
+      return row;
+    });
+  }, [expenses, state.envelopes, viewKey]);
+
+  const upcomingChanges = useMemo(() => {
+    return expenses
+      .flatMap((e) => sortedChanges(e).filter((c) => c.from > viewKey).map((change) => ({ expense: e, change })))
+      .sort((a, b) => a.change.from.localeCompare(b.change.from));
+  }, [expenses, viewKey]);
 
   function updateIncome(part) {
     setState((s) => ({ ...s, income: { ...s.income, ...part } }));
@@ -422,8 +3385,132 @@ export default function SemiMonthlyBudgetApp() {
     setState((s) => ({ ...s, expenses: s.expenses.filter((e) => e.id !== id) }));
   }
 
-  const dim = getDaysInMonth(new Date(year, monthIndex, 1));
-  const days = Array.from({ length: dim }, (_, i) => i + 1);
+  function pinExpense(id, paycheck) {
+    setState((s) => ({
+      ...s,
+      // Pinning a split bill moves all of it to one paycheck
+      expenses: s.expenses.map((e) => (e.id === id ? { ...e, pinnedPaycheck: paycheck, split: paycheck ? undefined : e.split } : e)),
+    }));
+  }
+
+  /** Record (or with null, clear) the payment for a bill occurrence in the viewed month. */
+  function recordPayment(occurrenceId, entry) {
+    setState((s) => {
+      const month = { ...s.ledger[viewKey] };
+      if (entry) month[occurrenceId] = entry;
+      else delete month[occurrenceId];
+      return { ...s, ledger: { ...s.ledger, [viewKey]: month } };
+    });
+  }
+
+  /** Mark the bill paid with the transaction's actual amount and date. */
+  function linkTransaction(transaction, occurrenceId) {
+    recordPayment(occurrenceId, { amount: -transaction.amount, date: transaction.date, method: transaction.account, transactionId: transaction.id });
+  }
+
+  function rejectMatch(m) {
+    setState((s) => ({ ...s, rejectedMatches: [...s.rejectedMatches, `${m.transactionId}|${m.occurrenceId}`] }));
+  }
+
+  function addEnvelope(envelope) {
+    setState((s) => ({ ...s, envelopes: [...s.envelopes, envelope] }));
+  }
+
+  function deleteEnvelope(id) {
+    setState((s) => ({
+      ...s,
+      envelopes: s.envelopes.filter((e) => e.id !== id),
+      envelopeSpending: s.envelopeSpending.filter((x) => x.envelopeId !== id),
+      envelopeCovers: s.envelopeCovers.filter((c) => c.from !== id && c.to !== id),
+    }));
+  }
+
+  function logEnvelopeSpend(entry) {
+    setState((s) => ({ ...s, envelopeSpending: [...s.envelopeSpending, { id: uid(), month: viewKey, ...entry }] }));
+  }
+
+  function deleteEnvelopeSpend(id) {
+    setState((s) => ({ ...s, envelopeSpending: s.envelopeSpending.filter((x) => x.id !== id) }));
+  }
+
+  function coverEnvelope(cover) {
+    setState((s) => ({ ...s, envelopeCovers: [...s.envelopeCovers, { id: uid(), month: viewKey, ...cover }] }));
+  }
+
+  function addSinkingFund(fund) {
+    setState((s) => ({ ...s, sinkingFunds: [...s.sinkingFunds, fund] }));
+  }
+
+  function deleteSinkingFund(id) {
+    setState((s) => ({ ...s, sinkingFunds: s.sinkingFunds.filter((f) => f.id !== id) }));
+  }
+
+  function addGoal(goal) {
+    setState((s) => ({ ...s, goals: [...s.goals, goal] }));
+  }
+
+  function updateGoal(id, part) {
+    setState((s) => ({ ...s, goals: s.goals.map((g) => (g.id === id ? { ...g, ...part } : g)) }));
+  }
+
+  function deleteGoal(id) {
+    setState((s) => ({ ...s, goals: s.goals.filter((g) => g.id !== id) }));
+  }
+
+  // Payments it was linked to stay recorded, just no longer linked
+  function deleteTransaction(id) {
+    setState((s) => {
+      const unlink = (month) =>
+        Object.fromEntries(
+          Object.entries(month).map(([occurrenceId, entry]) => {
+            if (entry.transactionId !== id) return [occurrenceId, entry];
+            const { transactionId: _linked, ...rest } = entry;
+            return [occurrenceId, rest];
+          })
+        );
+      const ledger = Object.fromEntries(
+        Object.entries(s.ledger).map(([key, month]) => [key, Object.values(month).some((x) => x.transactionId === id) ? unlink(month) : month])
+      );
+      return {
+        ...s,
+        transactions: s.transactions.filter((t) => t.id !== id),
+        ledger,
+        rejectedMatches: s.rejectedMatches.filter((r) => !r.startsWith(`${id}|`)),
+      };
+    });
+  }
+
+  function setAmountChanges(id, amountChanges) {
+    setState((s) => ({ ...s, expenses: s.expenses.map((e) => (e.id === id ? { ...e, amountChanges } : e)) }));
+  }
+
+  function updateDebtPlan(part) {
+    setState((s) => ({ ...s, debtPlan: { ...s.debtPlan, ...part } }));
+  }
+
+  /** Set each planned debt's monthly amount and end month from the chosen simulation. */
+  function applyDebtPlan(changes) {
+    setState((s) => ({
+      ...s,
+      expenses: s.expenses.map((e) => (changes[e.id] ? { ...e, ...changes[e.id] } : e)),
+    }));
+  }
+
+  function updatePayroll(part) {
+    setState((s) => ({ ...s, payroll: { ...s.payroll, ...part } }));
+  }
+
+  function updateSettings(part) {
+    setState((s) => ({ ...s, settings: { ...s.settings, ...part } }));
+  }
+
+  function addHoliday(h) {
+    setState((s) => ({ ...s, holidays: [...s.holidays, h] }));
+  }
+
+  function deleteHoliday(id) {
+    setState((s) => ({ ...s, holidays: s.holidays.filter((h) => h.id !== id) }));
+  }
 
   return (
     <div className="mx-auto max-w-7xl p-4 md:p-8 space-y-6">
@@ -432,20 +3519,38 @@ export default function SemiMonthlyBudgetApp() {
           <h1 className="text-2xl md:text-3xl font-bold tracking-tight">Semi‑Monthly Budget</h1>
           <p className="text-sm text-muted-foreground">Plan each paycheck around your due dates. Data is saved in your browser.</p>
         </div>
-        <ImportExport state={state} setState={setState} />
+        <ImportExport state={state} setState={setState} month={viewKey} />
       </div>
 
       <Tabs defaultValue="plan" className="w-full">
-        <TabsList className="grid grid-cols-3 w-full md:w-auto">
+        <TabsList className="grid grid-cols-4 w-full md:w-auto">
           <TabsTrigger value="plan">Plan</TabsTrigger>
           <TabsTrigger value="expenses">Expenses</TabsTrigger>
+          <TabsTrigger value="transactions">Transactions</TabsTrigger>
           <TabsTrigger value="reports">Reports</TabsTrigger>
         </TabsList>
 
         {/* PLAN TAB */}
         <TabsContent value="plan" className="space-y-6">
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            <Section title="Income & Paydays" icon={DollarSign} right={null}>
+            <Section
+              title="Income & Paydays"
+              icon={DollarSign}
+              right={
+                <div className="flex flex-wrap justify-end gap-2">
+                  <IncomeSourcesDialog income={income} onChange={updateIncome} />
+                  <IncomeEventsDialog income={income} onChange={updateIncome} />
+                  <HolidaysDialog
+                    holidays={state.holidays}
+                    settings={settings}
+                    year={year}
+                    onAdd={addHoliday}
+                    onDelete={deleteHoliday}
+                    onSettingsChange={updateSettings}
+                  />
+                </div>
+              }
+            >
               <div className="grid gap-4">
                 <div className="grid grid-cols-2 gap-3">
                   <Field label="Net per paycheck (₱)">
@@ -455,7 +3560,7 @@ export default function SemiMonthlyBudgetApp() {
                       onChange={(e) => updateIncome({ netPerPaycheck: Number(e.target.value) || 0 })}
                     />
                   </Field>
-                  <Field label="Monthly extras (₱)" hint="Side gigs, bonuses; split across paychecks">
+                  <Field label="Spread evenly (₱ / month)" hint="Legacy; log dated bonuses and payouts under Extras instead">
                     <Input
                       type="number"
                       value={income.extras}
@@ -463,25 +3568,100 @@ export default function SemiMonthlyBudgetApp() {
                     />
                   </Field>
                 </div>
-                <div className="grid grid-cols-2 gap-3">
-                  <Field label="Payday #1 (day)">
+                <Field label="Pay frequency">
+                  <Select
+                    value={income.payFrequency}
+                    onValueChange={(v) => updateIncome({ payFrequency: v, payAnchor: income.payAnchor || dateKey(new Date()) })}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {PAY_FREQUENCIES.map((f) => (
+                        <SelectItem key={f.id} value={f.id}>{f.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {income.payFrequency === "weekly" || income.payFrequency === "biweekly" ? (
+                  <Field label="A recent payday" hint="Later paydays repeat from this date">
                     <Input
-                      type="number"
-                      value={income.paycheckDays[0]}
-                      min={1}
-                      max={31}
-                      onChange={(e) => updateIncome({ paycheckDays: [Number(e.target.value) || 1, income.paycheckDays[1]] })}
+                      type="date"
+                      value={income.payAnchor || ""}
+                      onChange={(e) => updateIncome({ payAnchor: e.target.value })}
                     />
                   </Field>
-                  <Field label="Payday #2 (day)">
-                    <Input
-                      type="number"
-                      value={income.paycheckDays[1]}
-                      min={1}
-                      max={31}
-                      onChange={(e) => updateIncome({ paycheckDays: [income.paycheckDays[0], Number(e.target.value) || 1] })}
-                    />
+                ) : (
+                  <div className="grid grid-cols-2 gap-3">
+                    <Field label={income.payFrequency === "monthly" ? "Payday (day)" : "Payday #1 (day)"}>
+                      <Input
+                        type="number"
+                        value={income.paycheckDays[0]}
+                        min={1}
+                        max={31}
+                        onChange={(e) => updateIncome({ paycheckDays: [Number(e.target.value) || 1, income.paycheckDays[1]] })}
+                      />
+                    </Field>
+                    {income.payFrequency === "semimonthly" && (
+                      <Field label="Payday #2 (day)">
+                        <Input
+                          type="number"
+                          value={income.paycheckDays[1]}
+                          min={1}
+                          max={31}
+                          onChange={(e) => updateIncome({ paycheckDays: [income.paycheckDays[0], Number(e.target.value) || 1] })}
+                        />
+                      </Field>
+                    )}
+                  </div>
+                )}
+                <PaycheckNetsEditor
+                  income={income}
+                  count={scheduledPaydays(income, year, monthIndex).length}
+                  year={year}
+                  monthIndex={monthIndex}
+                  onChange={updateIncome}
+                />
+                <PayrollCalculatorDialog
+                  payroll={state.payroll}
+                  onChange={updatePayroll}
+                  onApply={(nets) => updateIncome({ paycheckNets: nets })}
+                />
+                <Field label="If payday is a weekend or holiday">
+                  <Select value={income.paydayAdjust} onValueChange={(v) => updateIncome({ paydayAdjust: v })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {PAYDAY_ADJUSTMENTS.map((a) => (
+                        <SelectItem key={a.id} value={a.id}>{a.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </Field>
+                <div className="grid grid-cols-2 gap-3">
+                  <Field label="Assign bills by">
+                    <Select value={settings.assignStrategy} onValueChange={(v) => updateSettings({ assignStrategy: v })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {ASSIGN_STRATEGIES.map((a) => (
+                          <SelectItem key={a.id} value={a.id}>{a.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
                   </Field>
+                  {settings.assignStrategy === "leadDays" && (
+                    <Field label="Days before due">
+                      <Input
+                        type="number"
+                        min={0}
+                        value={settings.leadDays}
+                        onChange={(e) => updateSettings({ leadDays: Math.max(0, Number(e.target.value) || 0) })}
+                      />
+                    </Field>
+                  )}
                 </div>
                 <div className="grid grid-cols-2 gap-3">
                   <Field label="View Year">
@@ -507,32 +3687,38 @@ export default function SemiMonthlyBudgetApp() {
 
             <Section title="This Month at a Glance" icon={Calendar}>
               <div className="space-y-3">
-                <div className="flex items-center gap-2 text-sm">
-                  <Badge variant="secondary" className="rounded-full">Payday #{paycheckDaysClamped[0] <= paycheckDaysClamped[1] ? 1 : 2}</Badge>
-                  <span>{format(new Date(year, monthIndex, paycheckDaysClamped[0]), "PP")}</span>
-                </div>
-                <div className="flex items-center gap-2 text-sm">
-                  <Badge variant="secondary" className="rounded-full">Payday #{paycheckDaysClamped[0] <= paycheckDaysClamped[1] ? 2 : 1}</Badge>
-                  <span>{format(new Date(year, monthIndex, paycheckDaysClamped[1]), "PP")}</span>
-                </div>
+                {timeline.map((t, i) => (
+                  <div key={i} className="flex items-center gap-2 text-sm">
+                    <Badge variant="secondary" className="rounded-full">Payday #{i + 1}</Badge>
+                    <span>{format(t.date, "PP")}</span>
+                    {showContributions && (
+                      <span className="text-xs text-muted-foreground">
+                        {t.contributions.map((c) => (c.event ? c.name : c.owner || c.name)).join(" + ")}
+                      </span>
+                    )}
+                  </div>
+                ))}
 
                 <div className="mt-2">
                   <div className="grid grid-cols-12 gap-1 text-xs text-muted-foreground">
                     {days.map((d) => {
-                      const isP1 = d === paycheckDaysClamped[0];
-                      const isP2 = d === paycheckDaysClamped[1];
-                      const hasBill = assigned.some((e) => e.dueDay === d);
+                      const key = dateKey(new Date(year, monthIndex, d));
+                      const payIdx = paydays.findIndex((p) => dateKey(p) === key);
+                      const hasBill = assigned.some((e) => dateKey(e.dueDate) === key);
+                      const holiday = holidayMap.get(key);
                       return (
-                        <div key={d} className="flex flex-col items-center">
-                          <div className={`w-full h-8 rounded ${isP1 ? "bg-emerald-500/20" : isP2 ? "bg-blue-500/20" : hasBill ? "bg-muted" : "bg-transparent"} border border-border flex items-center justify-center`}>{d}</div>
+                        <div key={d} className="flex flex-col items-center" title={holiday}>
+                          <div className={`w-full h-8 rounded ${payIdx >= 0 ? PAYDAY_COLORS[payIdx % PAYDAY_COLORS.length].cell : hasBill ? "bg-muted" : "bg-transparent"} border ${holiday ? "border-rose-400 text-rose-600 dark:text-rose-400" : "border-border"} flex items-center justify-center`}>{d}</div>
                         </div>
                       );
                     })}
                   </div>
-                  <div className="flex gap-3 mt-2 text-xs">
-                    <span className="inline-flex items-center gap-2"><span className="w-3 h-3 rounded bg-emerald-500/30 border" /> Payday #1</span>
-                    <span className="inline-flex items-center gap-2"><span className="w-3 h-3 rounded bg-blue-500/30 border" /> Payday #2</span>
+                  <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                    {paydays.map((_, i) => (
+                      <span key={i} className="inline-flex items-center gap-2"><span className={`w-3 h-3 rounded ${PAYDAY_COLORS[i % PAYDAY_COLORS.length].swatch} border`} /> Payday #{i + 1}</span>
+                    ))}
                     <span className="inline-flex items-center gap-2"><span className="w-3 h-3 rounded bg-muted border" /> Bill due</span>
+                    <span className="inline-flex items-center gap-2"><span className="w-3 h-3 rounded border border-rose-400" /> Holiday</span>
                   </div>
                 </div>
               </div>
@@ -540,22 +3726,225 @@ export default function SemiMonthlyBudgetApp() {
 
             <Section title="Summary" icon={DollarSign}>
               <div className="space-y-4">
-                <PaycheckSummary paycheckIndex={1} totalIncome={p1Income} totalExpenses={p1Total} />
-                <PaycheckSummary paycheckIndex={2} totalIncome={p2Income} totalExpenses={p2Total} />
-                <DistributionChart paycheckTotals={paycheckTotals} />
+                {paychecks.map((p) => (
+                  <PaycheckSummary
+                    key={p.index}
+                    paycheckIndex={p.index}
+                    totalIncome={p.income}
+                    totalExpenses={p.total}
+                    unpaid={p.unpaid}
+                    envelopes={p.envelopes}
+                    contributions={showContributions ? p.contributions : undefined}
+                    carriedIn={projection.find((r) => r.month === viewKey && r.index === p.index)?.carriedIn}
+                  />
+                ))}
+                <DistributionChart paychecks={paychecks} />
               </div>
             </Section>
           </div>
 
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            <Section title="Bills After Payday #1" icon={Calendar} right={<Badge variant="outline">Total: {currency(p1Total)}</Badge>}>
-              <ExpensesTable items={p1Items} onDelete={deleteExpense} />
-            </Section>
+          <Section title="Running Balance" icon={Wallet}>
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={settings.carryover}
+                    onChange={(e) => updateSettings({ carryover: e.target.checked })}
+                  />
+                  Carry each paycheck's leftover into the next
+                </label>
+                <Field label="Opening balance (₱)">
+                  <Input
+                    type="number"
+                    value={settings.openingBalance}
+                    onChange={(e) => updateSettings({ openingBalance: Number(e.target.value) || 0 })}
+                  />
+                </Field>
+                <Field label="As of the start of">
+                  <Input
+                    type="month"
+                    value={settings.openingMonth}
+                    onChange={(e) => e.target.value && updateSettings({ openingMonth: e.target.value })}
+                  />
+                </Field>
+              </div>
+              {settings.carryover && projection.length === 0 && (
+                <div className="text-sm text-muted-foreground">The opening month is more than a year after the viewed month.</div>
+              )}
+              {firstNegative && (
+                <div className="text-sm text-rose-600 dark:text-rose-400">
+                  Balance first goes negative after payday #{firstNegative.index} on {format(firstNegative.date, "PP")}: {currency(firstNegative.balance)}
+                </div>
+              )}
+              {projection.length > 0 && (
+                <div className="max-h-80 overflow-auto rounded-xl border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Payday</TableHead>
+                        <TableHead className="text-right">Carried in</TableHead>
+                        <TableHead className="text-right">Income</TableHead>
+                        <TableHead className="text-right">Bills</TableHead>
+                        <TableHead className="text-right">Balance</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {projection.map((r) => (
+                        <TableRow key={`${r.month}-${r.index}`} className={r === firstNegative ? "bg-rose-50 dark:bg-rose-950" : ""}>
+                          <TableCell>{format(r.date, "PP")} <span className="text-xs text-muted-foreground">#{r.index}</span></TableCell>
+                          <TableCell className="text-right">{currency(r.carriedIn)}</TableCell>
+                          <TableCell className="text-right">{currency(r.income)}</TableCell>
+                          <TableCell className="text-right">{currency(r.total)}</TableCell>
+                          <TableCell className={`text-right font-medium ${r.balance < 0 ? "text-rose-600 dark:text-rose-400" : ""}`}>{currency(r.balance)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </div>
+          </Section>
 
-            <Section title="Bills After Payday #2" icon={Calendar} right={<Badge variant="outline">Total: {currency(p2Total)}</Badge>}>
-              <ExpensesTable items={p2Items} onDelete={deleteExpense} />
-            </Section>
+          <Section
+            title="Daily Cash Flow"
+            icon={ChartLine}
+            right={
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-muted-foreground">Cushion (₱)</span>
+                <Input
+                  type="number"
+                  className="w-28"
+                  value={settings.cushion}
+                  onChange={(e) => updateSettings({ cushion: Math.max(0, Number(e.target.value) || 0) })}
+                />
+              </div>
+            }
+          >
+            <CashFlowChart data={cashFlow} cushion={settings.cushion} year={year} monthIndex={monthIndex} />
+            {!settings.carryover && (
+              <div className="text-xs text-muted-foreground mt-2">Starts from ₱0; turn on carryover above to start from the running balance.</div>
+            )}
+          </Section>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {paychecks.map((p) => (
+              <Section
+                key={p.index}
+                title={`Bills After Payday #${p.index}`}
+                icon={Calendar}
+                right={
+                  <div className="flex gap-2">
+                    <Badge variant="outline">Total: {currency(p.total)}</Badge>
+                    <Badge variant="outline">Left to pay: {currency(p.unpaid)}</Badge>
+                  </div>
+                }
+              >
+                <ExpensesTable
+                  items={p.items}
+                  onDelete={deleteExpense}
+                  onPin={pinExpense}
+                  dropPaycheck={p.primary}
+                  onPayment={recordPayment}
+                />
+              </Section>
+            ))}
           </div>
+
+          <Section
+            title="Envelopes"
+            icon={Mail}
+            right={<EnvelopesDialog envelopes={state.envelopes} expenses={expenses} onAdd={addEnvelope} onDelete={deleteEnvelope} />}
+          >
+            {state.envelopes.length === 0 ? (
+              <div className="text-sm text-muted-foreground">
+                Give variable spending like groceries a fixed allowance per paycheck and log purchases against it.
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {envelopeRows.map((rows, i) => {
+                  const p = paychecks[slots[i] - 1];
+                  return (
+                    <div key={i} className="space-y-3">
+                      <div className="text-sm font-medium">Paycheck #{i + 1} · {format(p.date, "MMM d")}</div>
+                      {rows.map((row) => (
+                        <EnvelopeRow
+                          key={row.envelope.id}
+                          row={row}
+                          sources={[
+                            { id: "leftover", label: "Paycheck leftover", available: p.income - p.total - p.envelopes },
+                            ...rows
+                              .filter((r) => r !== row && r.remaining > 0)
+                              .map((r) => ({ id: r.envelope.id, label: r.envelope.name, available: r.remaining })),
+                          ]}
+                          onLog={(entry) => logEnvelopeSpend({ ...entry, envelopeId: row.envelope.id, paycheck: row.paycheck })}
+                          onDeleteEntry={deleteEnvelopeSpend}
+                          onCover={(from, amount) => coverEnvelope({ from, to: row.envelope.id, amount, paycheck: row.paycheck })}
+                        />
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </Section>
+
+          <Section title="Sinking Funds" icon={PiggyBank} right={<SinkingFundDialog onAdd={addSinkingFund} />}>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Fund</TableHead>
+                  <TableHead className="w-1/3">Saved</TableHead>
+                  <TableHead className="text-right">This month</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {state.sinkingFunds.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={4} className="text-center text-sm text-muted-foreground">
+                      Save up for annual costs like school enrollment or LTO renewal a little from every paycheck.
+                    </TableCell>
+                  </TableRow>
+                )}
+                {state.sinkingFunds.map((f) => {
+                  const saved = fundSaved(state.ledger, f);
+                  const lines = fundLines.filter((l) => l.id === `fund-${f.id}`);
+                  return (
+                    <TableRow key={f.id}>
+                      <TableCell>
+                        <div className="font-medium">{f.name}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {currency(f.target)} by {format(parseISO(f.targetDate), "MMM d, yyyy")}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <ProgressBar value={saved} max={f.target} />
+                        <div className="text-xs text-muted-foreground mt-1">
+                          {currency(saved)} of {currency(f.target)}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right text-sm">
+                        {lines.length > 0
+                          ? lines.map((l) => `${currency(l.amount)} (#${l.paycheck})`).join(", ")
+                          : saved >= f.target
+                            ? "Funded"
+                            : "—"}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button variant="ghost" size="icon" onClick={() => deleteSinkingFund(f.id)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+            <div className="text-xs text-muted-foreground mt-2">
+              Set-asides appear in the paycheck tables above; mark them paid as you move the money so the rest recalculate.
+            </div>
+          </Section>
         </TabsContent>
 
         {/* EXPENSES TAB */}
@@ -563,16 +3952,209 @@ export default function SemiMonthlyBudgetApp() {
           <Section
             title="Recurring Expenses"
             icon={Plus}
-            right={<AddExpenseDialog onAdd={addExpense} />}
+            right={<AddExpenseDialog paydays={slots.map((k) => paydays[k - 1])} onAdd={addExpense} />}
+          >
+            <div className="space-y-6">
+              {upcomingChanges.length > 0 && (
+                <div className="space-y-2">
+                  <h3 className="text-sm font-semibold text-muted-foreground">Upcoming amount changes</h3>
+                  <ul className="text-sm space-y-1">
+                    {upcomingChanges.map(({ expense: e, change }) => (
+                      <li key={`${e.id}-${change.from}`} className="flex justify-between gap-2">
+                        <span>
+                          <span className="font-medium">{e.name}</span> from {format(parseISO(`${change.from}-01`), "MMM yyyy")}
+                        </span>
+                        <span>
+                          {currency(scheduledAmount(e, addMonths(change.from, -1)))} → {currency(change.amount)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {EXPENSE_STATUSES.map((st) => {
+                const items = expenseRows.filter((e) => expenseStatus(e, year, monthIndex) === st.id);
+                if (items.length === 0 && st.id !== "active") return null;
+                return (
+                  <div key={st.id} className="space-y-2">
+                    <h3 className="text-sm font-semibold text-muted-foreground">
+                      {st.label} in {format(new Date(year, monthIndex, 1), "MMMM yyyy")} ({items.length})
+                    </h3>
+                    <ExpensesTable items={items} onDelete={deleteExpense} onPin={pinExpense} onAmountChanges={setAmountChanges} />
+                  </div>
+                );
+              })}
+            </div>
+          </Section>
+        </TabsContent>
+
+        {/* TRANSACTIONS TAB */}
+        <TabsContent value="transactions" className="space-y-6">
+          <Section
+            title="Reconcile"
+            icon={Link2}
+            right={
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-muted-foreground">±%</span>
+                <Input
+                  type="number"
+                  className="w-20"
+                  value={settings.matchAmountTolerance}
+                  onChange={(e) => updateSettings({ matchAmountTolerance: Math.max(0, Number(e.target.value) || 0) })}
+                  title="Amount tolerance, % of the planned amount"
+                />
+                <span className="text-muted-foreground">±days</span>
+                <Input
+                  type="number"
+                  className="w-20"
+                  value={settings.matchDateWindow}
+                  onChange={(e) => updateSettings({ matchDateWindow: Math.max(0, Number(e.target.value) || 0) })}
+                  title="Days either side of the due date"
+                />
+              </div>
+            }
+          >
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Transaction</TableHead>
+                  <TableHead>Bill</TableHead>
+                  <TableHead className="text-center">Confidence</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {suggestions.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={4} className="text-center text-sm text-muted-foreground">
+                      No suggested matches for this month's unpaid bills.
+                    </TableCell>
+                  </TableRow>
+                )}
+                {suggestions.map((m) => {
+                  const t = state.transactions.find((x) => x.id === m.transactionId);
+                  const bill = openBills.find((b) => b.occurrenceId === m.occurrenceId);
+                  return (
+                    <TableRow key={`${m.transactionId}|${m.occurrenceId}`}>
+                      <TableCell>
+                        <div>{t.description}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {format(parseISO(t.date), "MMM d")} · {currency(-t.amount)} · {t.account}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <div>{bill.name}</div>
+                        <div className="text-xs text-muted-foreground">
+                          Due {format(bill.dueDate, "MMM d")} · {currency(bill.amount)}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-center">
+                        <Badge
+                          variant={m.score >= 0.75 ? "default" : "secondary"}
+                          className="rounded-full"
+                          title={`Name ${Math.round(m.name * 100)}% · Amount ${Math.round(m.amount * 100)}% · Date ${Math.round(m.date * 100)}%`}
+                        >
+                          {Math.round(m.score * 100)}%
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button variant="ghost" size="icon" title="Accept: mark the bill paid" onClick={() => linkTransaction(t, m.occurrenceId)}>
+                          <Check className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="icon" title="Reject this match" onClick={() => rejectMatch(m)}>
+                          <X className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Section>
+
+          <Section
+            title={`Transactions — ${format(new Date(year, monthIndex, 1), "LLLL yyyy")}`}
+            icon={Receipt}
+            right={<Badge variant="outline">Net: {currency(monthTransactions.reduce((s, t) => s + t.amount, 0))}</Badge>}
           >
-            <ExpensesTable items={expenses} onDelete={deleteExpense} />
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead>Account</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Bill</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {monthTransactions.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6} className="text-center text-sm text-muted-foreground">
+                      No transactions this month. Import a CSV, OFX or QFX bank statement to add some.
+                    </TableCell>
+                  </TableRow>
+                )}
+                {monthTransactions.map((t) => (
+                  <TableRow key={t.id}>
+                    <TableCell className="whitespace-nowrap">{format(parseISO(t.date), "MMM d")}</TableCell>
+                    <TableCell>
+                      {t.description}
+                      {t.memo && <div className="text-xs text-muted-foreground">{t.memo}</div>}
+                    </TableCell>
+                    <TableCell><Badge variant="secondary" className="rounded-full">{t.account}</Badge></TableCell>
+                    <TableCell className={`text-right ${t.amount < 0 ? "text-rose-600 dark:text-rose-400" : "text-emerald-600 dark:text-emerald-400"}`}>{currency(t.amount)}</TableCell>
+                    <TableCell>
+                      {linkedTransactions.has(t.id) ? (
+                        <Badge className="rounded-full bg-emerald-600">Paid {linkedTransactions.get(t.id)}</Badge>
+                      ) : (
+                        t.amount < 0 &&
+                        openBills.length > 0 && (
+                          <Select value="" onValueChange={(id) => linkTransaction(t, id)}>
+                            <SelectTrigger className="h-8 w-40">
+                              <SelectValue placeholder="Link to bill…" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {openBills.map((b) => (
+                                <SelectItem key={b.occurrenceId} value={b.occurrenceId}>
+                                  {b.name} · {format(b.dueDate, "MMM d")}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        )
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button variant="ghost" size="icon" onClick={() => deleteTransaction(t.id)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
           </Section>
         </TabsContent>
 
         {/* REPORTS TAB */}
         <TabsContent value="reports" className="space-y-6">
           <Section title="Category Breakdown" icon={DollarSign}>
-            <CategoryBreakdown expenses={expenses} />
+            <CategoryBreakdown bills={assigned} monthLedger={monthLedger} />
+          </Section>
+          <Section title="Debt Payoff Planner" icon={TrendingDown}>
+            <DebtPlanner
+              expenses={expenses}
+              plan={state.debtPlan}
+              startMonth={monthKey(new Date(year, monthIndex, 1))}
+              leftover={paychecks.reduce((s, p) => s + Math.max(0, p.income - p.total - p.envelopes), 0)}
+              onPlanChange={updateDebtPlan}
+              onApply={applyDebtPlan}
+            />
+          </Section>
+          <Section title="Savings Goals" icon={Target} right={<GoalDialog expenses={expenses} onAdd={addGoal} />}>
+            <SavingsGoals goals={state.goals} expenses={expenses} ledger={state.ledger} fromMonth={monthKey(now)} onUpdate={updateGoal} onDelete={deleteGoal} />
           </Section>
         </TabsContent>
       </Tabs>
@@ -584,14 +4166,15 @@ export default function SemiMonthlyBudgetApp() {
   );
 }
 
-function CategoryBreakdown({ expenses }) {
+/** Spending by category for the viewed month: paid amounts where recorded, scheduled ones otherwise. */
+function CategoryBreakdown({ bills, monthLedger }) {
   const byCat = useMemo(() => {
     const m = new Map();
-    for (const e of expenses) {
-      m.set(e.category, (m.get(e.category) || 0) + e.amount);
+    for (const b of bills) {
+      m.set(b.category, (m.get(b.category) || 0) + actualAmount(b, monthLedger?.[b.occurrenceId]));
     }
     return Array.from(m.entries()).map(([k, v]) => ({ name: CATEGORIES.find((c) => c.id === k)?.label || k, value: v }));
-  }, [expenses]);
+  }, [bills, monthLedger]);
 
   if (byCat.length === 0) {
     return <p className="text-sm text-muted-foreground">No data yet.</p>;
@@ -614,3 +4197,353 @@ function CategoryBreakdown({ expenses }) {
   );
 }
 
+
+/** Debts the planner can simulate: loans fixed to their schedule, others from balance/APR. */
+function plannerDebts(expenses, startMonth) {
+  return expenses.flatMap((e) => {
+    if (e.category !== "debt") return [];
+    if (e.loan) {
+      const balance = balanceAt(e.loan, startMonth);
+      const endMonth = lifespan(e).endMonth;
+      if (!(balance > 0) || startMonth > endMonth) return [];
+      return [{ id: e.id, name: e.name, balance, apr: effectiveRate(e.loan), minPayment: monthlyPayment(e.loan), fixed: true }];
+    }
+    if (!(e.debt?.balance > 0)) return [];
+    const minPayment = e.debt.minPayment ?? scheduledAmount(e, startMonth);
+    return [{ id: e.id, name: e.name, balance: e.debt.balance, apr: e.debt.apr, minPayment }];
+  });
+}
+
+const STRATEGY_COLORS = { snowball: "#10b981", avalanche: "#3b82f6", custom: "#f59e0b" };
+
+function DebtPlanner({ expenses, plan, startMonth, leftover, onPlanChange, onApply }) {
+  const debts = useMemo(() => plannerDebts(expenses, startMonth), [expenses, startMonth]);
+  const extra =
+    plan.extraMode === "fixed" ? plan.extra : plan.extraMode === "leftover" ? (leftover * plan.leftoverPct) / 100 : 0;
+
+  const results = useMemo(() => {
+    return Object.fromEntries(
+      PAYOFF_STRATEGIES.map((st) => {
+        const order = payoffOrder(debts, st.id, plan.customOrder);
+        return [st.id, { order, ...simulatePayoff(debts, { order, extra, startMonth }) }];
+      })
+    );
+  }, [debts, extra, startMonth, plan.customOrder]);
+
+  const chartData = useMemo(() => {
+    const length = Math.max(...PAYOFF_STRATEGIES.map((st) => results[st.id].timeline.length));
+    return Array.from({ length }, (_, i) => {
+      const row = { month: addMonths(startMonth, i) };
+      for (const st of PAYOFF_STRATEGIES) row[st.id] = results[st.id].timeline[i]?.total ?? 0;
+      return row;
+    });
+  }, [results, startMonth]);
+
+  if (debts.length === 0) {
+    return <p className="text-sm text-muted-foreground">Add a debt expense with a balance and APR, or an installment loan, to plan its payoff.</p>;
+  }
+
+  const chosen = results[plan.strategy];
+  const fmtMonth = (m) => (m ? format(parseISO(`${m}-01`), "MMM yyyy") : "Never");
+
+  function move(id, delta) {
+    const order = [...results.custom.order];
+    const i = order.indexOf(id);
+    const j = i + delta;
+    if (j < 0 || j >= order.length) return;
+    [order[i], order[j]] = [order[j], order[i]];
+    onPlanChange({ customOrder: order });
+  }
+
+  function apply() {
+    if (!confirm(`Update debt payments and end months to the ${plan.strategy} plan? Loans keep their schedules.`)) return;
+    const changes = {};
+    for (const d of debts) {
+      if (d.fixed) continue;
+      const expense = expenses.find((e) => e.id === d.id);
+      const paid = chosen.payments[d.id];
+      const last = paid.findLastIndex((x) => x > 0);
+      // Keep the minimum apart from the planned payments so re-planning starts from it
+      changes[d.id] = { endMonth: chosen.payoffMonth[d.id] || undefined, debt: { ...expense.debt, minPayment: d.minPayment } };
+      // Dated month-by-month changes, so earlier months keep the old payment and rollovers show up
+      if (last >= 0) changes[d.id].amountChanges = withMonthlyAmounts(expense, startMonth, paid.slice(0, last + 1));
+    }
+    onApply(changes);
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <Field label="Strategy">
+          <Select value={plan.strategy} onValueChange={(v) => onPlanChange({ strategy: v })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PAYOFF_STRATEGIES.map((st) => (
+                <SelectItem key={st.id} value={st.id}>{st.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </Field>
+        <Field label="Extra monthly payment">
+          <Select value={plan.extraMode} onValueChange={(v) => onPlanChange({ extraMode: v })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">None</SelectItem>
+              <SelectItem value="fixed">Fixed amount</SelectItem>
+              <SelectItem value="leftover">From paycheck leftovers</SelectItem>
+            </SelectContent>
+          </Select>
+        </Field>
+        {plan.extraMode === "fixed" && (
+          <Field label="Extra (₱ / month)">
+            <Input type="number" value={plan.extra} onChange={(e) => onPlanChange({ extra: Math.max(0, Number(e.target.value) || 0) })} />
+          </Field>
+        )}
+        {plan.extraMode === "leftover" && (
+          <Field label="Share of leftovers (%)" hint={`${currency(extra)} of ${currency(leftover)} projected this month`}>
+            <Input
+              type="number"
+              min={0}
+              max={100}
+              value={plan.leftoverPct}
+              onChange={(e) => onPlanChange({ leftoverPct: Math.min(100, Math.max(0, Number(e.target.value) || 0)) })}
+            />
+          </Field>
+        )}
+      </div>
+
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" tickFormatter={fmtMonth} minTickGap={24} />
+            <YAxis tickFormatter={(v) => currency(v)} width={90} />
+            <Tooltip formatter={(v) => currency(v)} labelFormatter={fmtMonth} />
+            <Legend />
+            {PAYOFF_STRATEGIES.map((st) => (
+              <Line
+                key={st.id}
+                type="monotone"
+                dataKey={st.id}
+                name={st.label.split(" (")[0]}
+                stroke={STRATEGY_COLORS[st.id]}
+                strokeWidth={st.id === plan.strategy ? 3 : 1.5}
+                dot={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Strategy</TableHead>
+            <TableHead className="text-right">Debt-free</TableHead>
+            <TableHead className="text-right">Total interest</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {PAYOFF_STRATEGIES.map((st) => (
+            <TableRow key={st.id} className={st.id === plan.strategy ? "font-semibold" : undefined}>
+              <TableCell>{st.label.split(" (")[0]}</TableCell>
+              <TableCell className="text-right">{fmtMonth(results[st.id].debtFreeMonth)}</TableCell>
+              <TableCell className="text-right">{currency(results[st.id].totalInterest)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Debt (payment order)</TableHead>
+            <TableHead className="text-right">Balance</TableHead>
+            <TableHead className="text-right">APR</TableHead>
+            <TableHead className="text-right">Minimum</TableHead>
+            <TableHead className="text-right">Paid off</TableHead>
+            <TableHead className="text-right">Interest</TableHead>
+            {plan.strategy === "custom" && <TableHead className="text-right">Order</TableHead>}
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {chosen.order.map((id, i) => {
+            const d = debts.find((x) => x.id === id);
+            return (
+              <TableRow key={id}>
+                <TableCell className="font-medium">{i + 1}. {d.name}</TableCell>
+                <TableCell className="text-right">{currency(d.balance)}</TableCell>
+                <TableCell className="text-right">{d.apr}%</TableCell>
+                <TableCell className="text-right">{currency(d.minPayment)}</TableCell>
+                <TableCell className="text-right">{fmtMonth(chosen.payoffMonth[id])}</TableCell>
+                <TableCell className="text-right">{currency(chosen.interest[id])}</TableCell>
+                {plan.strategy === "custom" && (
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button variant="ghost" size="icon" onClick={() => move(id, -1)} disabled={i === 0}>
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="icon" onClick={() => move(id, 1)} disabled={i === chosen.order.length - 1}>
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                )}
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      <div className="flex justify-end">
+        <Button onClick={apply}>Apply plan to expenses</Button>
+      </div>
+    </div>
+  );
+}
+
+function GoalDialog({ expenses, onAdd }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [target, setTarget] = useState("");
+  const [deadline, setDeadline] = useState("");
+  const [balance, setBalance] = useState("");
+  const [expenseIds, setExpenseIds] = useState([]);
+  const savings = expenses.filter((e) => e.category === "savings");
+
+  function toggle(id, on) {
+    setExpenseIds((ids) => (on ? [...ids, id] : ids.filter((x) => x !== id)));
+  }
+
+  function submit() {
+    const n = name.trim();
+    const t = Number(target);
+    const b = Number(balance) || 0;
+    if (!n || !Number.isFinite(t) || t <= 0 || b < 0) return;
+    onAdd({ id: uid(), name: n, target: t, deadline: deadline || undefined, balance: b, expenseIds, since: monthKey(new Date()) });
+    setName("");
+    setTarget("");
+    setDeadline("");
+    setBalance("");
+    setExpenseIds([]);
+    setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Plus className="h-4 w-4 mr-2" /> Add goal
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>New savings goal</DialogTitle>
+          <DialogDescription>Link the savings expenses that pay into it to project when you'll get there.</DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-3">
+          <div className="col-span-2">
+            <Field label="Name">
+              <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Emergency fund" />
+            </Field>
+          </div>
+          <Field label="Target (₱)">
+            <Input type="number" value={target} onChange={(e) => setTarget(e.target.value)} />
+          </Field>
+          <Field label="Saved so far (₱)" hint="Payments you record from now on add to it">
+            <Input type="number" value={balance} onChange={(e) => setBalance(e.target.value)} placeholder="0" />
+          </Field>
+          <Field label="Deadline (optional)">
+            <Input type="month" value={deadline} onChange={(e) => setDeadline(e.target.value)} />
+          </Field>
+        </div>
+        <Field label="Paid in by">
+          {savings.length === 0 ? (
+            <div className="text-sm text-muted-foreground">No expenses in the Savings/Goals category yet.</div>
+          ) : (
+            <div className="space-y-1">
+              {savings.map((e) => (
+                <label key={e.id} className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={expenseIds.includes(e.id)} onChange={(ev) => toggle(e.id, ev.target.checked)} />
+                  {e.name} <span className="text-muted-foreground">({currency(e.amount)})</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </Field>
+        <div className="flex justify-end gap-2">
+          <Button variant="ghost" onClick={() => setOpen(false)}>Cancel</Button>
+          <Button onClick={submit}>Add</Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function SavingsGoals({ goals, expenses, ledger, fromMonth, onUpdate, onDelete }) {
+  const fmtMonth = (k) => format(parseISO(`${k}-01`), "MMM yyyy");
+
+  if (goals.length === 0) {
+    return <div className="text-sm text-muted-foreground">Add a goal to track what you've saved and when you'll reach it.</div>;
+  }
+
+  return (
+    <div className="space-y-5">
+      {goals.map((g) => {
+        const p = projectGoal(g, expenses, ledger, fromMonth);
+        const saved = goalSaved(ledger, g);
+        const linked = expenses.filter((e) => g.expenseIds.includes(e.id));
+        const late = g.deadline && p.atDeadline !== null && p.atDeadline < g.target;
+        return (
+          <div key={g.id} className="space-y-2">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <div className="font-medium">{g.name}</div>
+                <div className="text-xs text-muted-foreground">
+                  {currency(g.target)}
+                  {g.deadline && ` by ${fmtMonth(g.deadline)}`}
+                  {linked.length > 0 && ` · from ${linked.map((e) => e.name).join(", ")}`}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="number"
+                  className="w-32 h-8"
+                  value={g.balance}
+                  title="Saved before recorded payments"
+                  onChange={(e) => onUpdate(g.id, { balance: Math.max(0, Number(e.target.value) || 0) })}
+                />
+                <Button variant="ghost" size="icon" onClick={() => onDelete(g.id)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+            <ProgressBar value={saved} max={g.target} tone={late ? "bg-amber-500" : "bg-emerald-500"} />
+            <div className="flex flex-wrap justify-between gap-2 text-xs text-muted-foreground">
+              <span>
+                {currency(saved)} of {currency(g.target)} ({Math.min(100, Math.round((saved / g.target) * 100))}%)
+              </span>
+              <span>
+                {currency(p.monthly)}/month ·{" "}
+                {saved >= g.target
+                  ? "Reached"
+                  : p.completion
+                    ? `Projected ${fmtMonth(p.completion)}`
+                    : "Not reachable at current contributions"}
+              </span>
+            </div>
+            {late && (
+              <div className="text-xs text-amber-600 dark:text-amber-400">
+                {g.deadline < fromMonth
+                  ? `The ${fmtMonth(g.deadline)} deadline has passed.`
+                  : `Current contributions reach ${currency(p.atDeadline)} by ${fmtMonth(g.deadline)}; add about ${currency(Math.ceil(p.shortfall))} a month to make it.`}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+// Installment loan schedules. PH lenders quote either an add-on rate (flat
+// interest on the original principal for the whole term) or a diminishing
+// balance rate (standard amortization on the outstanding balance).
+
+/** @typedef {"addon"|"diminishing"} InterestMethod */
+
+/** @typedef {{
+ *  principal: number,
+ *  rate: number, // annual %, as quoted
+ *  method: InterestMethod,
+ *  termMonths: number,
+ *  startMonth: string, // yyyy-MM of the first payment
+ * }} Loan */
+
+/** @typedef {{
+ *  n: number, // 1-based payment number
+ *  month: string, // yyyy-MM
+ *  payment: number,
+ *  interest: number,
+ *  principal: number,
+ *  balance: number, // principal still owed after this payment
+ * }} ScheduleRow */
+
+export const INTEREST_METHODS = [
+  { id: "diminishing", label: "Diminishing balance" },
+  { id: "addon", label: "Add-on (flat)" },
+];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function addMonths(month, k) {
+  const [y, m] = month.split("-").map(Number);
+  const total = y * 12 + (m - 1) + k;
+  return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, "0")}`;
+}
+
+/** Level monthly payment for the loan. */
+export function monthlyPayment(loan) {
+  const { principal, rate, termMonths } = loan;
+  if (!(principal > 0) || !(termMonths > 0)) return 0;
+  if (loan.method === "addon") {
+    return round2((principal + (principal * rate * termMonths) / 1200) / termMonths);
+  }
+  const i = rate / 1200;
+  if (i === 0) return round2(principal / termMonths);
+  return round2((principal * i) / (1 - Math.pow(1 + i, -termMonths)));
+}
+
+/**
+ * Full payment schedule. Amounts are rounded to centavos and the final
+ * payment absorbs the rounding so the balance ends at exactly zero.
+ * @param {Loan} loan
+ * @returns {ScheduleRow[]}
+ */
+export function amortize(loan) {
+  const payment = monthlyPayment(loan);
+  if (!payment) return [];
+  const { principal, rate, termMonths } = loan;
+  const flatInterest = round2((principal * rate) / 1200);
+  const flatPrincipal = round2(principal / termMonths);
+
+  const rows = [];
+  let balance = principal;
+  for (let n = 1; n <= termMonths; n++) {
+    let interest = loan.method === "addon" ? flatInterest : round2((balance * rate) / 1200);
+    let paid = loan.method === "addon" ? flatPrincipal : round2(payment - interest);
+    if (n === termMonths) paid = round2(balance);
+    balance = round2(balance - paid);
+    rows.push({ n, month: addMonths(loan.startMonth, n - 1), payment: round2(paid + interest), interest, principal: paid, balance });
+  }
+  return rows;
+}
+
+/** Principal still owed at the start of a month (before that month's payment). */
+export function balanceAt(loan, month) {
+  if (month <= loan.startMonth) return loan.principal;
+  const rows = amortize(loan);
+  const prior = rows.filter((r) => r.month < month);
+  return prior.length ? prior[prior.length - 1].balance : loan.principal;
+}
+
+/**
+ * Diminishing-balance rate (annual %) that gives the same level payment as
+ * the loan; add-on quotes understate the true cost, so compare on this.
+ */
+export function effectiveRate(loan) {
+  if (loan.method !== "addon") return loan.rate;
+  const target = monthlyPayment(loan);
+  let lo = 0;
+  let hi = 200;
+  for (let k = 0; k < 60; k++) {
+    const mid = (lo + hi) / 2;
+    if (monthlyPayment({ ...loan, method: "diminishing", rate: mid }) < target) lo = mid;
+    else hi = mid;
+  }
+  return Math.round(((lo + hi) / 2) * 100) / 100;
+}
@@ -0,0 +1,204 @@
+// Bank statement CSV parsing: encoding and delimiter detection, a small
+// RFC 4180 reader, and column mapping into signed transactions (negative =
+// money out). Banks differ in layout, so the mapping is chosen by the user
+// and remembered per bank.
+
+import { format, isValid, parse } from "date-fns";
+
+/** @typedef {"single"|"debitCredit"} AmountMode */
+
+/** @typedef {{
+ *  encoding: string,
+ *  delimiter: string,
+ *  hasHeader: boolean,
+ *  skipRows: number, // preamble lines before the header (account details etc.)
+ *  dateCol: number,
+ *  dateFormat: string, // date-fns pattern
+ *  descCol: number,
+ *  amountMode: AmountMode,
+ *  amountCol: number, // for "single"
+ *  negate: boolean, // for "single": statement shows debits as positive
+ *  debitCol: number, // for "debitCredit"
+ *  creditCol: number,
+ * }} CsvMapping */
+
+/** @typedef {{ date: string, description: string, amount: number }} ParsedRow */ // date yyyy-MM-dd
+
+export const BANK_PRESETS = ["BDO", "BPI", "GCash"];
+
+export const DELIMITERS = [
+  { id: ",", label: "Comma" },
+  { id: ";", label: "Semicolon" },
+  { id: "\t", label: "Tab" },
+  { id: "|", label: "Pipe" },
+];
+
+export const ENCODINGS = ["utf-8", "windows-1252", "utf-16le", "utf-16be"];
+
+export const DATE_FORMATS = ["MM/dd/yyyy", "dd/MM/yyyy", "yyyy-MM-dd", "MM/dd/yy", "MMM d, yyyy", "dd MMM yyyy", "yyyy/MM/dd"];
+
+function sniffBom(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: "utf-8", length: 3 };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: "utf-16le", length: 2 };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: "utf-16be", length: 2 };
+  return null;
+}
+
+/**
+ * Decode file bytes. Without an explicit encoding, honour a BOM and fall
+ * back to Windows-1252 when the bytes are not valid UTF-8.
+ */
+export function decodeBytes(buffer, encoding) {
+  const bytes = new Uint8Array(buffer);
+  const bom = sniffBom(bytes);
+  if (encoding) {
+    const body = bom?.encoding === encoding ? bytes.subarray(bom.length) : bytes;
+    return { text: new TextDecoder(encoding).decode(body), encoding };
+  }
+  if (bom) return { text: new TextDecoder(bom.encoding).decode(bytes.subarray(bom.length)), encoding: bom.encoding };
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "utf-8" };
+  } catch {
+    return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "windows-1252" };
+  }
+}
+
+/** Split CSV text into rows of cells, handling quoted fields and "" escapes. */
+export function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/** The delimiter giving the most rows with the same (> 1) column count. */
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 30).join("\n");
+  let best = { id: ",", score: -1 };
+  for (const { id } of DELIMITERS) {
+    const counts = parseCsv(sample, id).map((r) => r.length);
+    const freq = new Map();
+    for (const c of counts) if (c > 1) freq.set(c, (freq.get(c) || 0) + 1);
+    const score = Math.max(0, ...freq.values());
+    if (score > best.score) best = { id, score };
+  }
+  return best.id;
+}
+
+/** Parse "₱1,234.50", "(1,234.50)", "1,234.50 DR" and similar; NaN when blank. */
+export function parseAmount(raw) {
+  let s = String(raw ?? "").trim();
+  if (!s || s === "-") return NaN;
+  let sign = 1;
+  if (/^\(.*\)$/.test(s)) {
+    sign = -1;
+    s = s.slice(1, -1);
+  }
+  if (/\bDR$/i.test(s)) sign = -1;
+  s = s.replace(/\b(CR|DR|PHP)\b/gi, "").replace(/[₱,\s]/g, "");
+  if (s.endsWith("-")) {
+    sign = -sign;
+    s = s.slice(0, -1);
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? sign * n : NaN;
+}
+
+/** Parse a cell with a date-fns pattern; null when it doesn't match. */
+export function parseDateCell(raw, pattern) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  const d = parse(s, pattern, new Date());
+  return isValid(d) && d.getFullYear() > 1900 ? d : null;
+}
+
+/** The date format that parses the most samples; earlier formats win ties. */
+export function detectDateFormat(samples) {
+  const values = samples.map((v) => String(v ?? "").trim()).filter(Boolean);
+  let best = { format: DATE_FORMATS[0], hits: 0 };
+  for (const format of DATE_FORMATS) {
+    const hits = values.filter((v) => parseDateCell(v, format)).length;
+    if (hits > best.hits) best = { format, hits };
+  }
+  return best.format;
+}
+
+/**
+ * Guess columns from header names, falling back to the first columns. The
+ * first row counts as a header only when none of its cells reads as a date.
+ * @returns {CsvMapping}
+ */
+export function guessMapping(rows, encoding, delimiter) {
+  const first = rows[0] || [];
+  const hasHeader = first.length > 0 && !first.some((c) => DATE_FORMATS.some((f) => parseDateCell(c, f)));
+  const header = hasHeader ? first.map((h) => h.trim().toLowerCase()) : [];
+  const find = (re) => header.findIndex((h) => re.test(h));
+  const dateCol = Math.max(0, find(/date/));
+  const descCol = find(/desc|particular|detail|narrative|payee|remark/);
+  const debitCol = find(/debit|withdraw/);
+  const creditCol = find(/credit|deposit/);
+  const amountCol = find(/amount/);
+  return {
+    encoding,
+    delimiter,
+    hasHeader,
+    skipRows: 0,
+    dateCol,
+    dateFormat: detectDateFormat(rows.slice(hasHeader ? 1 : 0, 20).map((r) => r[dateCol])),
+    descCol: descCol >= 0 ? descCol : 1,
+    amountMode: debitCol >= 0 && creditCol >= 0 ? "debitCredit" : "single",
+    amountCol: amountCol >= 0 ? amountCol : 2,
+    negate: false,
+    debitCol: Math.max(0, debitCol),
+    creditCol: Math.max(0, creditCol),
+  };
+}
+
+/**
+ * Apply a mapping to parsed rows. Rows whose date or amount can't be read
+ * (totals, blank lines, running-balance footers) come back as `error` rows
+ * so the preview can show what was skipped.
+ */
+export function mapRows(rows, mapping) {
+  const body = rows.slice(mapping.skipRows + (mapping.hasHeader ? 1 : 0));
+  return body.map((r) => {
+    const date = parseDateCell(r[mapping.dateCol], mapping.dateFormat);
+    let amount;
+    if (mapping.amountMode === "debitCredit") {
+      const debit = parseAmount(r[mapping.debitCol]);
+      const credit = parseAmount(r[mapping.creditCol]);
+      amount = Number.isNaN(debit) && Number.isNaN(credit) ? NaN : (credit || 0) - Math.abs(debit || 0);
+    } else {
+      amount = parseAmount(r[mapping.amountCol]) * (mapping.negate ? -1 : 1);
+    }
+    const description = String(r[mapping.descCol] ?? "").trim();
+    if (!date) return { cells: r, error: "Unreadable date" };
+    if (Number.isNaN(amount)) return { cells: r, error: "Unreadable amount" };
+    return { cells: r, row: { date: format(date, "yyyy-MM-dd"), description, amount } };
+  });
+}
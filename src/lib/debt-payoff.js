@@ -0,0 +1,110 @@
+// Month-by-month debt payoff simulation for snowball, avalanche and custom
+// orderings. Every debt gets its minimum payment; the extra payment plus the
+// minimums of debts already paid off roll onto the first unpaid debt in order.
+// Fixed debts (installment loans) keep to their schedule and stay out of that.
+
+import { addMonths } from "./amortization";
+
+/** @typedef {"snowball"|"avalanche"|"custom"} PayoffStrategy */
+
+/** @typedef {{
+ *  id: string,
+ *  name: string,
+ *  balance: number,
+ *  apr: number, // annual %, interest on the outstanding balance
+ *  minPayment: number,
+ *  fixed?: boolean, // pays exactly its schedule: takes no extra and its minimum never rolls over
+ * }} Debt */
+
+export const PAYOFF_STRATEGIES = [
+  { id: "snowball", label: "Snowball (smallest balance first)" },
+  { id: "avalanche", label: "Avalanche (highest APR first)" },
+  { id: "custom", label: "Custom order" },
+];
+
+const MAX_MONTHS = 600;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/** Debt ids in payment priority for the strategy. */
+export function payoffOrder(debts, strategy, customOrder = []) {
+  const list = [...debts];
+  if (strategy === "snowball") list.sort((a, b) => a.balance - b.balance || b.apr - a.apr);
+  else if (strategy === "avalanche") list.sort((a, b) => b.apr - a.apr || a.balance - b.balance);
+  else {
+    const rank = (id) => {
+      const i = customOrder.indexOf(id);
+      return i === -1 ? Infinity : i;
+    };
+    list.sort((a, b) => rank(a.id) - rank(b.id));
+  }
+  return list.map((d) => d.id);
+}
+
+/**
+ * @param {Debt[]} debts
+ * @param {{ order: string[], extra: number, startMonth: string }} opts
+ * @returns {{
+ *  timeline: { month: string, total: number, balances: Record<string, number> }[],
+ *  payments: Record<string, number[]>, // per debt, per simulated month
+ *  payoffMonth: Record<string, string|null>, // null = not paid off within 50 years
+ *  interest: Record<string, number>,
+ *  totalInterest: number,
+ *  debtFreeMonth: string|null,
+ * }}
+ */
+export function simulatePayoff(debts, { order, extra, startMonth }) {
+  const bal = Object.fromEntries(debts.map((d) => [d.id, d.balance]));
+  const payments = Object.fromEntries(debts.map((d) => [d.id, []]));
+  const interest = Object.fromEntries(debts.map((d) => [d.id, 0]));
+  const payoffMonth = Object.fromEntries(debts.map((d) => [d.id, d.balance > 0 ? null : startMonth]));
+  const fixed = new Set(debts.filter((d) => d.fixed).map((d) => d.id));
+  const timeline = [];
+
+  for (let m = 0; m < MAX_MONTHS && debts.some((d) => bal[d.id] > 0); m++) {
+    const month = addMonths(startMonth, m);
+    let pool = Math.max(0, extra);
+
+    for (const d of debts) {
+      if (bal[d.id] <= 0) {
+        if (!d.fixed) pool += d.minPayment; // freed-up minimum rolls over
+        payments[d.id].push(0);
+        continue;
+      }
+      const i = round2((bal[d.id] * d.apr) / 1200);
+      interest[d.id] += i;
+      bal[d.id] = round2(bal[d.id] + i);
+      const pay = Math.min(d.minPayment, bal[d.id]);
+      bal[d.id] = round2(bal[d.id] - pay);
+      if (!d.fixed) pool += d.minPayment - pay;
+      payments[d.id].push(pay);
+    }
+
+    for (const id of order) {
+      if (pool <= 0) break;
+      if (!(bal[id] > 0) || fixed.has(id)) continue;
+      const pay = Math.min(pool, bal[id]);
+      bal[id] = round2(bal[id] - pay);
+      pool = round2(pool - pay);
+      const list = payments[id];
+      list[list.length - 1] = round2(list[list.length - 1] + pay);
+    }
+
+    for (const d of debts) {
+      if (bal[d.id] <= 0 && payoffMonth[d.id] === null) payoffMonth[d.id] = month;
+    }
+    timeline.push({ month, total: round2(debts.reduce((s, d) => s + bal[d.id], 0)), balances: { ...bal } });
+  }
+
+  const months = Object.values(payoffMonth);
+  return {
+    timeline,
+    payments,
+    payoffMonth,
+    interest: Object.fromEntries(Object.entries(interest).map(([k, v]) => [k, round2(v)])),
+    totalInterest: round2(Object.values(interest).reduce((s, v) => s + v, 0)),
+    debtFreeMonth: months.includes(null) ? null : months.sort().at(-1) ?? startMonth,
+  };
+}
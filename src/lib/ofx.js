@@ -0,0 +1,92 @@
+// OFX/QFX statement parsing for both OFX 1.x (SGML, leaf tags left open)
+// and 2.x (XML). Aggregates such as <STMTTRN> are closed in both, so we
+// slice those out and read leaf values with a tag-to-next-tag match.
+
+/** @typedef {{
+ *  fitId: string, // bank-assigned id, unique within the account
+ *  account: string,
+ *  date: string, // yyyy-MM-dd
+ *  payee: string,
+ *  memo: string,
+ *  amount: number, // negative = money out
+ *  type: string, // TRNTYPE, e.g. DEBIT, CREDIT, POS, ATM
+ * }} OfxTransaction */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, name) => {
+    if (name[0] !== "#") return ENTITIES[name.toLowerCase()] ?? m;
+    const code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+/** Text value of the first leaf <tag> in the block, or "". */
+function leaf(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([^<]*)`, "i"));
+  return m ? decodeEntities(m[1].trim()) : "";
+}
+
+/** All <tag>…</tag> aggregates in the block. */
+function aggregates(block, tag) {
+  return [...block.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "gi"))].map((m) => m[1]);
+}
+
+/** "20261015120000.000[+8:PHT]" → "2026-10-15"; null when unreadable. */
+export function ofxDate(raw) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(raw);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+export function isOfx(text) {
+  return /<OFX>/i.test(text);
+}
+
+/** Label for an account: institution plus the full account id, so accounts sharing last digits stay apart. */
+function accountLabel(org, acctId, credit) {
+  return [org || (credit ? "Credit card" : "Bank"), acctId].filter(Boolean).join(" ");
+}
+
+/**
+ * Identity for duplicate checks across imports: the FITID, or the date,
+ * amount and payee when the bank leaves it out.
+ * @param {Pick<OfxTransaction, "account"|"fitId"|"date"|"amount"|"payee">} t
+ */
+export function ofxKey(t) {
+  return t.fitId ? `${t.account}|${t.fitId}` : `${t.account}|${t.date}|${t.amount}|${t.payee}`;
+}
+
+/**
+ * Every statement transaction in the file, across bank and credit-card
+ * statements. Throws when the file has no OFX body.
+ * @returns {OfxTransaction[]}
+ */
+export function parseOfx(text) {
+  if (!isOfx(text)) throw new Error("Not an OFX file");
+  const body = text.slice(text.search(/<OFX>/i));
+  const org = leaf(aggregates(body, "FI")[0] || "", "ORG");
+  const statements = [
+    ...aggregates(body, "STMTRS").map((s) => ({ s, credit: false })),
+    ...aggregates(body, "CCSTMTRS").map((s) => ({ s, credit: true })),
+  ];
+  return statements.flatMap(({ s, credit }) => {
+    const from = aggregates(s, credit ? "CCACCTFROM" : "BANKACCTFROM")[0] || "";
+    const account = accountLabel(org || leaf(from, "BANKID"), leaf(from, "ACCTID"), credit);
+    return aggregates(s, "STMTTRN")
+      .map((t) => {
+        const payee = leaf(t, "NAME"); // also finds <PAYEE><NAME>
+        const memo = leaf(t, "MEMO");
+        return {
+          fitId: leaf(t, "FITID"),
+          account,
+          date: ofxDate(leaf(t, "DTPOSTED")),
+          payee: payee || memo,
+          memo: payee ? memo : "",
+          amount: Number(leaf(t, "TRNAMT").replace(",", ".")), // OFX allows a comma decimal point
+          type: leaf(t, "TRNTYPE"),
+        };
+      })
+      .filter((t) => t.date && Number.isFinite(t.amount));
+  });
+}
@@ -0,0 +1,109 @@
+// Philippine regular and special non-working holidays, bundled so the app
+// works offline. Fixed-date and Easter-based holidays are derived by rule;
+// lunar holidays are proclaimed each year and listed in PROCLAIMED.
+
+/** @typedef {"regular"|"special"} HolidayType */
+
+/** @typedef {{
+ *  date: string, // yyyy-MM-dd
+ *  name: string,
+ *  type: HolidayType,
+ *  estimated?: boolean, // not yet proclaimed; projected from the lunar calendar
+ * }} PhHoliday */
+
+const FIXED = [
+  { md: "01-01", name: "New Year's Day", type: "regular" },
+  { md: "04-09", name: "Araw ng Kagitingan", type: "regular" },
+  { md: "05-01", name: "Labor Day", type: "regular" },
+  { md: "06-12", name: "Independence Day", type: "regular" },
+  { md: "08-21", name: "Ninoy Aquino Day", type: "special" },
+  { md: "10-31", name: "All Saints' Day Eve", type: "special" },
+  { md: "11-01", name: "All Saints' Day", type: "special" },
+  { md: "11-30", name: "Bonifacio Day", type: "regular" },
+  { md: "12-08", name: "Feast of the Immaculate Conception", type: "special" },
+  { md: "12-24", name: "Christmas Eve", type: "special" },
+  { md: "12-25", name: "Christmas Day", type: "regular" },
+  { md: "12-30", name: "Rizal Day", type: "regular" },
+  { md: "12-31", name: "Last Day of the Year", type: "special" },
+];
+
+/** @type {Record<number, PhHoliday[]>} */
+export const PROCLAIMED = {
+  2024: [
+    { date: "2024-02-10", name: "Chinese New Year", type: "special" },
+    { date: "2024-04-10", name: "Eid'l Fitr", type: "regular" },
+    { date: "2024-06-17", name: "Eid'l Adha", type: "regular" },
+    { date: "2024-11-02", name: "All Souls' Day", type: "special" },
+  ],
+  2025: [
+    { date: "2025-01-29", name: "Chinese New Year", type: "special" },
+    { date: "2025-04-01", name: "Eid'l Fitr", type: "regular" },
+    { date: "2025-06-06", name: "Eid'l Adha", type: "regular" },
+  ],
+  2026: [
+    { date: "2026-02-17", name: "Chinese New Year", type: "special" },
+    { date: "2026-03-20", name: "Eid'l Fitr", type: "regular", estimated: true },
+    { date: "2026-05-27", name: "Eid'l Adha", type: "regular", estimated: true },
+  ],
+  2027: [
+    { date: "2027-02-06", name: "Chinese New Year", type: "special" },
+    { date: "2027-03-10", name: "Eid'l Fitr", type: "regular", estimated: true },
+    { date: "2027-05-17", name: "Eid'l Adha", type: "regular", estimated: true },
+  ],
+};
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function ymd(year, monthIndex, day) {
+  // Normalise through Date so day offsets like "Easter - 3" roll over months
+  const d = new Date(year, monthIndex, day);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Western (Gregorian) Easter Sunday, as [monthIndex, day]. */
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return [month - 1, day];
+}
+
+function lastMondayOfAugust(year) {
+  const last = new Date(year, 8, 0); // Aug 31
+  return last.getDate() - ((last.getDay() + 6) % 7);
+}
+
+const cache = new Map();
+
+/**
+ * All bundled holidays for a year, sorted by date.
+ * Years without a PROCLAIMED entry still get the rule-based holidays.
+ * @returns {PhHoliday[]}
+ */
+export function phHolidays(year) {
+  if (cache.has(year)) return cache.get(year);
+  const [em, ed] = easter(year);
+  const list = [
+    ...FIXED.map((h) => ({ date: `${year}-${h.md}`, name: h.name, type: h.type })),
+    { date: ymd(year, em, ed - 3), name: "Maundy Thursday", type: "regular" },
+    { date: ymd(year, em, ed - 2), name: "Good Friday", type: "regular" },
+    { date: ymd(year, em, ed - 1), name: "Black Saturday", type: "special" },
+    { date: ymd(year, 7, lastMondayOfAugust(year)), name: "National Heroes Day", type: "regular" },
+    ...(PROCLAIMED[year] || []),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+  cache.set(year, list);
+  return list;
+}
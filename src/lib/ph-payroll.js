@@ -0,0 +1,107 @@
+// Philippine statutory payroll deductions (employee share) from monthly gross.
+// Rate tables are versioned by effective date; users can save edited copies
+// when agencies publish new rates before the app ships them.
+
+/** @typedef {{ over: number, base: number, rate: number }} TaxBracket */ // annual: base + rate × (income − over)
+
+/** @typedef {{
+ *  id: string,
+ *  label: string,
+ *  effective: string, // yyyy-MM-dd
+ *  sss: { rate: number, mscMin: number, mscMax: number, mscStep: number },
+ *  philhealth: { rate: number, floor: number, ceiling: number },
+ *  pagibig: { rate: number, lowRate: number, lowLimit: number, maxSalary: number },
+ *  tax: TaxBracket[],
+ *  custom?: boolean,
+ * }} RateTable */
+
+/** @typedef {"first"|"second"|"even"} CutoffSplit */
+
+export const DEDUCTIONS = [
+  { id: "sss", label: "SSS" },
+  { id: "philhealth", label: "PhilHealth" },
+  { id: "pagibig", label: "Pag-IBIG" },
+  { id: "tax", label: "Withholding tax" },
+];
+
+// TRAIN law graduated rates, 2023 onwards
+const TRAIN_2023 = [
+  { over: 0, base: 0, rate: 0 },
+  { over: 250000, base: 0, rate: 0.15 },
+  { over: 400000, base: 22500, rate: 0.2 },
+  { over: 800000, base: 102500, rate: 0.25 },
+  { over: 2000000, base: 402500, rate: 0.3 },
+  { over: 8000000, base: 2202500, rate: 0.35 },
+];
+
+/** Built-in tables, newest first. @type {RateTable[]} */
+export const RATE_TABLES = [
+  {
+    id: "ph-2025",
+    label: "2025",
+    effective: "2025-01-01",
+    sss: { rate: 0.05, mscMin: 5000, mscMax: 35000, mscStep: 500 },
+    philhealth: { rate: 0.025, floor: 10000, ceiling: 100000 },
+    pagibig: { rate: 0.02, lowRate: 0.01, lowLimit: 1500, maxSalary: 10000 },
+    tax: TRAIN_2023,
+  },
+  {
+    id: "ph-2024",
+    label: "2024",
+    effective: "2024-01-01",
+    sss: { rate: 0.045, mscMin: 4000, mscMax: 30000, mscStep: 500 },
+    philhealth: { rate: 0.025, floor: 10000, ceiling: 100000 },
+    pagibig: { rate: 0.02, lowRate: 0.01, lowLimit: 1500, maxSalary: 10000 },
+    tax: TRAIN_2023,
+  },
+];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function clamp(n, min, max) {
+  return Math.min(Math.max(n, min), max);
+}
+
+/** Monthly salary credit: gross rounded to the nearest step, within the table's range. */
+export function salaryCredit(gross, sss) {
+  const step = sss.mscStep || 500;
+  return clamp(Math.floor((gross + step / 2) / step) * step, sss.mscMin, sss.mscMax);
+}
+
+export function annualTax(income, brackets) {
+  const b = [...brackets].sort((x, y) => y.over - x.over).find((x) => income > x.over);
+  return b ? b.base + b.rate * (income - b.over) : 0;
+}
+
+/** Monthly employee deductions and net pay for a gross monthly salary. */
+export function computePayroll(gross, table) {
+  const g = Math.max(0, gross || 0);
+  const sss = g > 0 ? round2(salaryCredit(g, table.sss) * table.sss.rate) : 0;
+  const philhealth = g > 0 ? round2(clamp(g, table.philhealth.floor, table.philhealth.ceiling) * table.philhealth.rate) : 0;
+  const pagRate = g <= table.pagibig.lowLimit ? table.pagibig.lowRate : table.pagibig.rate;
+  const pagibig = round2(Math.min(g, table.pagibig.maxSalary) * pagRate);
+  const taxable = Math.max(0, g - sss - philhealth - pagibig);
+  const tax = round2(annualTax(taxable * 12, table.tax) / 12);
+  return { gross: g, sss, philhealth, pagibig, taxable: round2(taxable), tax, net: round2(g - sss - philhealth - pagibig - tax) };
+}
+
+/**
+ * Split a monthly payroll across the two semi-monthly cutoffs. Gross is halved;
+ * each deduction goes wholly to one cutoff or half to each.
+ * @param {Record<string, CutoffSplit>} split
+ */
+export function splitCutoffs(payroll, split) {
+  const cutoffs = [0, 1].map((i) => {
+    const row = { gross: round2(payroll.gross / 2) };
+    for (const { id } of DEDUCTIONS) {
+      const how = split[id] || "even";
+      const share = how === "even" ? 0.5 : (how === "first") === (i === 0) ? 1 : 0;
+      row[id] = round2(payroll[id] * share);
+    }
+    row.net = round2(row.gross - DEDUCTIONS.reduce((s, d) => s + row[d.id], 0));
+    return row;
+  });
+  return cutoffs;
+}
@@ -0,0 +1,89 @@
+// Pairs imported bank transactions with planned bill occurrences. Each
+// candidate pair is scored on payee-name similarity, how close the amount is
+// to the plan and how close the posting date is to the due date; pairs
+// outside the amount tolerance or date window are never suggested. The best
+// pairs are then taken greedily so each transaction and bill matches once.
+
+import { differenceInCalendarDays, parseISO } from "date-fns";
+
+/** @typedef {{ amountTolerance: number, dateWindow: number, minScore: number }} MatchOptions */ // tolerance in %, window in days
+
+/** @typedef {{
+ *  transactionId: string,
+ *  occurrenceId: string,
+ *  score: number, // 0–1
+ *  name: number,
+ *  amount: number,
+ *  date: number,
+ * }} Match */
+
+export const DEFAULT_MATCH_OPTIONS = { amountTolerance: 10, dateWindow: 7, minScore: 0.45 };
+
+// Boilerplate that bank descriptions add around the payee
+const NOISE = new Set(["payment", "pymt", "pmt", "bills", "bill", "online", "transfer", "to", "from", "inc", "corp", "co", "ref", "via", "the", "and", "of"]);
+
+const WEIGHTS = { name: 0.5, amount: 0.3, date: 0.2 };
+
+function tokens(s) {
+  return String(s)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !NOISE.has(t) && !/^\d+$/.test(t));
+}
+
+/** 0–1 overlap of payee words; a word that prefixes another counts ("meralco" ~ "meralcoonline"). */
+export function nameSimilarity(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.length || !tb.length) return 0;
+  const hits = ta.filter((x) => tb.some((y) => x === y || (Math.min(x.length, y.length) >= 4 && (x.startsWith(y) || y.startsWith(x))))).length;
+  return (2 * hits) / (ta.length + tb.length);
+}
+
+/**
+ * Score one transaction against one bill occurrence, or null when it falls
+ * outside the tolerance or window. Only money going out can pay a bill.
+ * @param {{ date: string, description: string, amount: number }} txn
+ * @param {{ name: string, amount: number, dueDate: Date }} bill
+ * @param {MatchOptions} opts
+ */
+export function scorePair(txn, bill, opts) {
+  if (txn.amount >= 0 || bill.amount <= 0) return null;
+  const paid = -txn.amount;
+  const diff = Math.abs(paid - bill.amount) / bill.amount;
+  const tol = opts.amountTolerance / 100;
+  if (diff > tol) return null;
+  const days = Math.abs(differenceInCalendarDays(parseISO(txn.date), bill.dueDate));
+  if (days > opts.dateWindow) return null;
+  const name = nameSimilarity(txn.description, bill.name);
+  const amount = tol > 0 ? 1 - diff / tol : 1;
+  const date = opts.dateWindow > 0 ? 1 - days / (opts.dateWindow + 1) : 1;
+  return { name, amount, date, score: WEIGHTS.name * name + WEIGHTS.amount * amount + WEIGHTS.date * date };
+}
+
+/**
+ * Best one-to-one matches at or above `minScore`, highest score first.
+ * `rejected` holds "transactionId|occurrenceId" pairs the user turned down.
+ * @returns {Match[]}
+ */
+export function matchTransactions(transactions, bills, opts = DEFAULT_MATCH_OPTIONS, rejected = new Set()) {
+  const candidates = [];
+  for (const t of transactions) {
+    for (const b of bills) {
+      if (rejected.has(`${t.id}|${b.occurrenceId}`)) continue;
+      const s = scorePair(t, b, opts);
+      if (s && s.score >= opts.minScore) candidates.push({ transactionId: t.id, occurrenceId: b.occurrenceId, ...s });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+  const usedTxn = new Set();
+  const usedBill = new Set();
+  const matches = [];
+  for (const c of candidates) {
+    if (usedTxn.has(c.transactionId) || usedBill.has(c.occurrenceId)) continue;
+    usedTxn.add(c.transactionId);
+    usedBill.add(c.occurrenceId);
+    matches.push(c);
+  }
+  return matches;
+}